@@ -1,22 +1,47 @@
-const { app, BrowserWindow, BrowserView, Menu, dialog, shell, Tray, nativeImage, Notification, ipcMain } = require('electron');
+const { app, BrowserWindow, BrowserView, Menu, dialog, shell, Tray, nativeImage, ipcMain, webContents } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const notificationManager = require('./utils/notificationManager');
 const storeManager = require('./utils/storeManager');
+const profileManager = require('./utils/profileManager');
 const clipboardManager = require('./utils/clipboardManager');
 const shortcutManager = require('./utils/shortcutManager');
 const WindowManager = require('./utils/windowManager');
+const StoreBroadcaster = require('./utils/storeBroadcaster');
+const ClipboardBroadcaster = require('./utils/clipboardBroadcaster');
+const RecentFilesManager = require('./utils/recentFilesManager');
+const SnippetManager = require('./utils/snippetManager');
+const NotificationScheduler = require('./utils/notificationScheduler');
+const DoNotDisturbScheduler = require('./utils/doNotDisturbScheduler');
+const ToastCenter = require('./utils/toastCenter');
 const systemInfo = require('./utils/systemInfo');
 
 // Keep a global reference of the window object to prevent garbage collection
 let mainWindow;
 let tray = null;
-let recentFiles = [];
-const MAX_RECENT_FILES = 10;
+
+// Recently opened files, persisted in the store
+const recentFilesManager = new RecentFilesManager(storeManager);
+const snippetManager = new SnippetManager(storeManager, clipboardManager);
+
+// Scheduled and recurring notifications, persisted in the store
+const notificationScheduler = new NotificationScheduler(storeManager, notificationManager);
+
+// Quiet hours and automatic Do Not Disturb
+const dndScheduler = new DoNotDisturbScheduler(storeManager, notificationManager);
 
 // Initialize window manager
 let windowManager;
 
+// Pushes store changes to subscribed renderers
+let storeBroadcaster;
+
+// Pushes clipboard events to subscribed renderers
+let clipboardBroadcaster;
+
+// In-app toasts, used when native notifications are unavailable or not preferred
+let toastCenter;
+
 // Track current BrowserView for tab navigation
 let currentView = null;
 
@@ -155,6 +180,10 @@ function createApplicationMenu() {
           accelerator: 'CmdOrCtrl+N',
           click: () => createMainWindow()
         },
+        {
+          label: 'Open Recent',
+          submenu: buildOpenRecentMenu()
+        },
         { type: 'separator' },
         {
           label: 'Close Window',
@@ -184,6 +213,21 @@ function createApplicationMenu() {
         { role: 'paste', accelerator: 'CmdOrCtrl+V' },
         { role: 'selectAll', accelerator: 'CmdOrCtrl+A' },
         { type: 'separator' },
+        {
+          id: 'store-undo',
+          label: 'Undo Store Change',
+          accelerator: 'CmdOrCtrl+Alt+Z',
+          enabled: false,
+          click: () => runStoreHistoryAction('undo')
+        },
+        {
+          id: 'store-redo',
+          label: 'Redo Store Change',
+          accelerator: 'CmdOrCtrl+Alt+Shift+Z',
+          enabled: false,
+          click: () => runStoreHistoryAction('redo')
+        },
+        { type: 'separator' },
         {
           label: 'Find',
           accelerator: 'CmdOrCtrl+F',
@@ -315,6 +359,62 @@ function createApplicationMenu() {
 
   const menu = Menu.buildFromTemplate(template);
   Menu.setApplicationMenu(menu);
+
+  // Rebuilding resets dynamic item state
+  updateStoreHistoryMenu();
+}
+
+/**
+ * Build the File > Open Recent submenu
+ * @returns {Array<Object>} Menu template
+ */
+function buildOpenRecentMenu() {
+  const entries = recentFilesManager.getAll();
+
+  if (entries.length === 0) {
+    return [{ label: 'No Recent Files', enabled: false }];
+  }
+
+  const toItem = entry => ({
+    label: `${entry.pinned ? '📌 ' : ''}${path.basename(entry.path)}  —  ${path.dirname(entry.path)}`,
+    click: () => openRecentFile(entry.path)
+  });
+
+  const pinned = entries.filter(entry => entry.pinned).map(toItem);
+  const recent = entries.filter(entry => !entry.pinned).map(toItem);
+
+  return [
+    ...pinned,
+    ...(pinned.length > 0 && recent.length > 0 ? [{ type: 'separator' }] : []),
+    ...recent,
+    { type: 'separator' },
+    {
+      label: 'Clear Recently Opened',
+      click: () => recentFilesManager.clear()
+    }
+  ];
+}
+
+/**
+ * Open a recent file with its default application
+ * Missing files are pruned from the list.
+ * @param {string} filePath - File path
+ */
+async function openRecentFile(filePath) {
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    recentFilesManager.prune();
+    dialog.showErrorBox('File Not Found', `${filePath} no longer exists and was removed from recent files.`);
+    return;
+  }
+
+  addToRecentFiles(filePath);
+
+  const errorMessage = await shell.openPath(filePath);
+  if (errorMessage) {
+    dialog.showErrorBox('Cannot Open File', errorMessage);
+  }
 }
 
 /**
@@ -339,6 +439,63 @@ Built with ❤️ using Electron`,
   });
 }
 
+/**
+ * Undo or redo a store change from the Edit menu
+ * @param {string} action - 'undo' or 'redo'
+ */
+function runStoreHistoryAction(action) {
+  try {
+    const source = { channel: 'menu', window: null };
+    const result = storeManager.withSource(source, () => storeManager[action]());
+
+    if (result) {
+      console.log(`Store ${action}: ${result.operation} (${result.keys.join(', ')})`);
+    }
+  } catch (error) {
+    console.error(`Error during store ${action}:`, error);
+    dialog.showErrorBox(`Store ${action === 'undo' ? 'Undo' : 'Redo'} Failed`, error.message);
+  }
+}
+
+/**
+ * Enable or disable the store undo/redo menu items
+ */
+function updateStoreHistoryMenu() {
+  const menu = Menu.getApplicationMenu();
+  if (!menu) return;
+
+  const { canUndo, canRedo } = storeManager.getHistory(0);
+  const undoItem = menu.getMenuItemById('store-undo');
+  const redoItem = menu.getMenuItemById('store-redo');
+
+  if (undoItem) undoItem.enabled = canUndo;
+  if (redoItem) redoItem.enabled = canRedo;
+}
+
+/**
+ * Describe the origin of an IPC call for the store journal
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @param {string} channel - IPC channel
+ * @returns {Object} { channel, window, page }
+ */
+function ipcSource(event, channel) {
+  const sender = event.sender;
+  const window = BrowserWindow.fromWebContents(sender);
+  let page = null;
+
+  try {
+    page = path.basename(new URL(sender.getURL()).pathname);
+  } catch (error) {
+    // Not a file/http URL
+  }
+
+  return {
+    channel,
+    window: window ? window.getTitle() : null,
+    page
+  };
+}
+
 /**
  * Create system tray icon with context menu
  */
@@ -352,7 +509,74 @@ function createTray() {
   }
 
   tray = new Tray(icon);
-  tray.setToolTip('Electron Feature Explorer');
+  updateTrayTooltip();
+
+  updateTrayMenu();
+
+  // Rebuild the profile submenu whenever profiles change
+  profileManager.on('profiles-changed', updateTrayMenu);
+  profileManager.on('profile-activated', updateTrayMenu);
+
+  // Click on tray icon shows/hides window
+  tray.on('click', () => {
+    if (mainWindow) {
+      if (mainWindow.isVisible()) {
+        mainWindow.hide();
+      } else {
+        mainWindow.show();
+        mainWindow.focus();
+      }
+    }
+  });
+}
+
+/**
+ * Show the Do Not Disturb state in the tray tooltip
+ */
+function updateTrayTooltip() {
+  if (!tray) return;
+
+  const reasons = notificationManager.getDoNotDisturbReasons();
+  const labels = { manual: 'on', 'quiet-hours': 'quiet hours', locked: 'screen locked', fullscreen: 'fullscreen' };
+  const dnd = reasons.length > 0 ? ` - Do Not Disturb (${reasons.map(reason => labels[reason] || reason).join(', ')})` : '';
+
+  tray.setToolTip(`Electron Feature Explorer${dnd}`);
+}
+
+/**
+ * Build the tray context menu, including the profile switcher
+ */
+function updateTrayMenu() {
+  if (!tray) return;
+
+  const profileItems = profileManager.list().map(profile => ({
+    label: profile.name,
+    type: 'radio',
+    checked: profile.active,
+    click: () => {
+      if (!profile.active) {
+        try {
+          switchProfile(profile.name);
+        } catch (error) {
+          console.error('Error switching profile:', error);
+          dialog.showErrorBox('Profile Switch Failed', error.message);
+        }
+      }
+    }
+  }));
+
+  // Upcoming scheduled notifications, each with snooze and cancel
+  const upcoming = notificationScheduler.list().filter(schedule => schedule.at).slice(0, 5);
+  const reminderItems = upcoming.length === 0
+    ? [{ label: 'No upcoming reminders', enabled: false }]
+    : upcoming.map(schedule => ({
+      label: `${new Date(schedule.at).toLocaleString()} - ${schedule.notification.title}`,
+      submenu: [
+        { label: 'Snooze 5 Minutes', click: () => snoozeReminder(schedule.id, 5 * 60 * 1000) },
+        { label: 'Snooze 1 Hour', click: () => snoozeReminder(schedule.id, 60 * 60 * 1000) },
+        { label: 'Cancel', click: () => notificationScheduler.cancel(schedule.id) }
+      ]
+    }));
 
   // Create context menu for tray
   const contextMenu = Menu.buildFromTemplate([
@@ -379,6 +603,21 @@ function createTray() {
       click: () => createMainWindow()
     },
     { type: 'separator' },
+    {
+      label: `Profile: ${profileManager.getActive()}`,
+      submenu: profileItems
+    },
+    {
+      label: 'Reminders',
+      submenu: reminderItems
+    },
+    {
+      label: 'Do Not Disturb',
+      type: 'checkbox',
+      checked: notificationManager.getDoNotDisturbStatus(),
+      click: () => notificationManager.toggleDoNotDisturb()
+    },
+    { type: 'separator' },
     {
       label: 'About',
       click: () => showAboutDialog()
@@ -394,18 +633,62 @@ function createTray() {
   ]);
 
   tray.setContextMenu(contextMenu);
+}
 
-  // Click on tray icon shows/hides window
-  tray.on('click', () => {
-    if (mainWindow) {
-      if (mainWindow.isVisible()) {
-        mainWindow.hide();
-      } else {
-        mainWindow.show();
-        mainWindow.focus();
-      }
-    }
+/**
+ * Snooze a scheduled notification from the tray menu
+ * @param {string} id - Schedule ID
+ * @param {number} delay - Delay in ms
+ */
+function snoozeReminder(id, delay) {
+  try {
+    notificationScheduler.snooze(id, delay);
+  } catch (error) {
+    // Delivered and pruned since the menu was built
+    console.error('Error snoozing reminder:', error);
+  }
+}
+
+/**
+ * Switch to another store profile
+ * Saves shortcuts and window state into the current profile, opens the new
+ * profile's store, then re-initialises shortcuts and window state from it.
+ * @param {string} name - Profile name
+ * @returns {Object} { profile, previousProfile, migration }
+ */
+function switchProfile(name) {
+  name = profileManager.normalizeName(name);
+  if (!profileManager.exists(name)) {
+    throw new Error(`Profile not found: ${name}`);
+  }
+
+  const previousProfile = profileManager.getActive();
+  if (name === previousProfile) {
+    return { profile: name, previousProfile, migration: null };
+  }
+
+  // Persist state that only lives in memory into the profile being left
+  storeManager.withoutJournal(() => storeManager.set('shortcuts', shortcutManager.export()));
+  if (windowManager) {
+    windowManager.saveAllWindowStates();
+  }
+
+  const migration = storeManager.openFile(profileManager.getStorePath(name));
+  profileManager.setActive(name);
+
+  // Re-initialise everything that reads its state from the store
+  shortcutManager.import(storeManager.get('shortcuts', null));
+  if (windowManager) {
+    windowManager.restoreAllWindowStates();
+  }
+
+  webContents.getAllWebContents().forEach(contents => {
+    contents.send('profile:switched', { profile: name, previousProfile });
   });
+
+  console.log(`Switched profile: ${previousProfile} -> ${name}`);
+
+  return { profile: name, previousProfile, migration };
 }
 
 /**
@@ -467,6 +750,8 @@ function createMainWindow() {
   // Clean up reference when window is closed
   mainWindow.on('closed', () => {
     mainWindow = null;
+    // Open toasts would otherwise keep the app running
+    if (toastCenter) toastCenter.clear();
   });
 }
 
@@ -548,13 +833,11 @@ function handleProtocolUrl(url) {
       mainWindow.show();
       mainWindow.focus();
 
-      // Show a notification about the protocol action
-      const notification = new Notification({
-        title: 'Deep Link Received',
-        body: `Action: ${action}, Params: ${params}`,
-        silent: false
+      // Show a notification about the protocol action; each link replaces the last one
+      notificationManager.showTyped('info', 'Deep Link Received', `Action: ${action}, Params: ${params}`, {
+        category: 'protocol',
+        groupId: 'deep-link'
       });
-      notification.show();
     }
   } catch (error) {
     console.error('Error handling protocol URL:', error);
@@ -574,12 +857,46 @@ if (process.platform === 'win32') {
 app.whenReady().then(() => {
   // Initialize window manager
   windowManager = new WindowManager(storeManager);
+  storeBroadcaster = new StoreBroadcaster(storeManager);
+  clipboardBroadcaster = new ClipboardBroadcaster(clipboardManager);
+  toastCenter = new ToastCenter(windowManager);
 
   registerProtocolHandler();
+  recentFilesManager.prune();
   createApplicationMenu();
+  storeManager.watch('**', () => updateStoreHistoryMenu());
+  storeManager.watch('recentFiles', () => createApplicationMenu());
+  // Also re-applied on profile switch, which notifies every changed key
+  clipboardManager.configureHistory(storeManager.get('clipboardSettings'));
+  storeManager.watch('clipboardSettings', (settings) => clipboardManager.configureHistory(settings));
+  applyClipboardSensitivity(storeManager.get('clipboardSensitivity'));
+  storeManager.watch('clipboardSensitivity', (settings) => applyClipboardSensitivity(settings));
+  notificationManager.setRules(storeManager.get('notificationRules'));
+  storeManager.watch('notificationRules', (rules) => notificationManager.setRules(rules));
+  notificationManager.setThrottleSettings(storeManager.get('notificationThrottle'));
+  storeManager.watch('notificationThrottle', (settings) => notificationManager.setThrottleSettings(settings));
+  toastCenter.configure(storeManager.get('toastSettings'));
+  storeManager.watch('toastSettings', (settings) => toastCenter.configure(settings));
+  notificationManager.setToastCenter(toastCenter);
   createTray();
+  storeManager.watch('notificationSchedules', () => updateTrayMenu());
   setupNotificationHandlers();
+  notificationScheduler.start();
+  dndScheduler.start();
   setupShortcutHandlers();
+  storeManager.startSnapshotSchedule();
+  storeManager.startFileWatch({
+    // Invalid hand edits are kept aside and the previous settings restored
+    onInvalid: ({ invalidPath, errors }) => {
+      const kept = invalidPath ? ` Your edit was kept as ${path.basename(invalidPath)}.` : '';
+      notificationManager.showTyped(
+        'warning',
+        'Settings File Edit Ignored',
+        `${errors[0].path || 'File'} ${errors[0].message}.${kept}`,
+        { category: 'system' }
+      );
+    }
+  });
   createMainWindow();
 
   // On macOS, re-create window when dock icon is clicked and no windows are open
@@ -612,9 +929,15 @@ app.on('before-quit', () => {
   // Unregister all global shortcuts
   shortcutManager.cleanup();
 
+  // Stop scheduled notifications, store snapshots and the store file watcher
+  notificationScheduler.stop();
+  dndScheduler.stop();
+  storeManager.stopSnapshotSchedule();
+  storeManager.stopFileWatch();
+
   // Save shortcuts configuration to store
   const shortcuts = shortcutManager.export();
-  storeManager.set('shortcuts', shortcuts);
+  storeManager.withoutJournal(() => storeManager.set('shortcuts', shortcuts));
 });
 
 /**
@@ -623,13 +946,22 @@ app.on('before-quit', () => {
 function setupNotificationHandlers() {
   // When notification is clicked, focus the window
   notificationManager.on('notification-clicked', (data) => {
-    if (mainWindow) {
+    if (data.config.digestId) {
+      // The digest opens the summary of what arrived during DND
+      windowManager.showNotificationDigest();
+    } else if (mainWindow) {
       mainWindow.show();
       mainWindow.focus();
     }
     console.log('Notification clicked:', data.id);
   });
 
+  // Reflect Do Not Disturb in the tray
+  notificationManager.on('dnd-changed', () => {
+    updateTrayTooltip();
+    updateTrayMenu();
+  });
+
   // When notification reply is received
   notificationManager.on('notification-replied', (data) => {
     console.log('Notification reply:', data.reply);
@@ -674,25 +1006,36 @@ function setupShortcutHandlers() {
 
       case 'create-note':
         // Show notification for demo
-        notificationManager.showTyped('info', 'Create Note', 'Create note shortcut triggered!');
+        notificationManager.showTyped('info', 'Create Note', 'Create note shortcut triggered!', { category: 'shortcut' });
         break;
 
       case 'capture-clipboard':
-        // Read clipboard and show notification
+        // Save the clipboard as a new snippet
         try {
+          const html = clipboardManager.readHTML();
           const text = clipboardManager.readText();
-          if (text) {
-            notificationManager.showTyped('success', 'Clipboard Captured', `Captured: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
+          if (text || html) {
+            const snippet = snippetManager.create({
+              name: `Clipboard ${new Date().toLocaleString()}`,
+              type: html ? 'html' : 'text',
+              content: html || text
+            });
+            notificationManager.showTyped('success', 'Snippet Saved', `Saved as "${snippet.name}"`, { category: 'snippet' });
           } else {
-            notificationManager.showTyped('warning', 'Clipboard Empty', 'No text in clipboard');
+            notificationManager.showTyped('warning', 'Clipboard Empty', 'No text in clipboard', { category: 'snippet' });
           }
         } catch (error) {
           console.error('Error capturing clipboard:', error);
+          notificationManager.showTyped('error', 'Snippet Not Saved', error.message, { category: 'snippet' });
         }
         break;
 
       case 'take-screenshot':
-        notificationManager.showTyped('info', 'Screenshot', 'Screenshot shortcut triggered! (Feature coming soon)');
+        notificationManager.showTyped('info', 'Screenshot', 'Screenshot shortcut triggered! (Feature coming soon)', { category: 'shortcut' });
+        break;
+
+      case 'paste-stack-next':
+        runPasteStackNext();
         break;
 
       case 'quick-search':
@@ -701,15 +1044,99 @@ function setupShortcutHandlers() {
           mainWindow.show();
           mainWindow.focus();
         }
-        notificationManager.showTyped('info', 'Quick Search', 'Quick search activated!');
+        notificationManager.showTyped('info', 'Quick Search', 'Quick search activated!', { category: 'shortcut' });
         break;
 
       default:
-        console.log('Unknown shortcut action:', data.action);
+        if (data.action.startsWith(CLIPBOARD_TRANSFORM_ACTION)) {
+          runClipboardTransform(data.action.slice(CLIPBOARD_TRANSFORM_ACTION.length));
+        } else if (data.action.startsWith(SNIPPET_ACTION)) {
+          runSnippet(data.action.slice(SNIPPET_ACTION.length));
+        } else {
+          console.log('Unknown shortcut action:', data.action);
+        }
     }
   });
 }
 
+// Shortcut action prefix for clipboard transforms, e.g. 'clipboard-transform:trim,jsonPretty'
+const CLIPBOARD_TRANSFORM_ACTION = 'clipboard-transform:';
+
+/**
+ * Load the next paste stack item from the shortcut and show what's left
+ */
+function runPasteStackNext() {
+  try {
+    const next = clipboardManager.loadNextFromStack();
+    if (!next) {
+      notificationManager.showTyped('warning', 'Paste Stack Empty', 'Start collect mode and copy some items first', {
+        category: 'clipboard',
+        groupId: 'paste-stack'
+      });
+      return;
+    }
+
+    const preview = next.item.text || (next.item.hasImage ? '[image]' : '');
+    notificationManager.showTyped(
+      'info',
+      next.remaining > 0 ? `Paste Stack: ${next.remaining} remaining` : 'Paste Stack: last item',
+      `${preview.substring(0, 50)}${preview.length > 50 ? '...' : ''}`,
+      { category: 'clipboard', groupId: 'paste-stack' }
+    );
+  } catch (error) {
+    console.error('Error loading from paste stack:', error);
+  }
+}
+
+// Shortcut action prefix for snippets, followed by the snippet ID
+const SNIPPET_ACTION = 'snippet:';
+
+/**
+ * Get the shortcut ID of a snippet
+ * @param {string} id - Snippet ID
+ * @returns {string} Shortcut ID
+ */
+function snippetShortcutId(id) {
+  return `snippet-${id}`;
+}
+
+/**
+ * Expand a snippet from a shortcut
+ * Snippets with {input:...} placeholders ask the main window for the values.
+ * @param {string} id - Snippet ID
+ */
+function runSnippet(id) {
+  try {
+    const { text } = snippetManager.expand(id);
+    notificationManager.showTyped('success', 'Snippet Copied', `${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`, { category: 'snippet' });
+  } catch (error) {
+    if (error.code === 'ERR_SNIPPET_INPUT' && mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+      mainWindow.webContents.send('snippet:input-requested', {
+        id,
+        name: snippetManager.get(id).name,
+        prompts: error.prompts
+      });
+    } else {
+      notificationManager.showTyped('error', 'Snippet Failed', error.message, { category: 'snippet' });
+    }
+  }
+}
+
+/**
+ * Transform the clipboard from a shortcut and report the outcome
+ * @param {string} names - Comma-separated transform names
+ */
+function runClipboardTransform(names) {
+  try {
+    const { result } = clipboardManager.transform(names);
+    notificationManager.showTyped('success', 'Clipboard Transformed', `${result.substring(0, 50)}${result.length > 50 ? '...' : ''}`, { category: 'clipboard' });
+  } catch (error) {
+    notificationManager.showTyped('error', 'Clipboard Transform Failed', error.message, { category: 'clipboard' });
+  }
+}
+
 /**
  * IPC Handlers for App
  */
@@ -783,7 +1210,64 @@ ipcMain.handle('notification:dnd-toggle', () => {
 
 // Get Do Not Disturb status
 ipcMain.handle('notification:dnd-status', () => {
-  return { enabled: notificationManager.getDoNotDisturbStatus() };
+  return {
+    enabled: notificationManager.getDoNotDisturbStatus(),
+    reasons: notificationManager.getDoNotDisturbReasons(),
+    automatic: dndScheduler.getStatus()
+  };
+});
+
+// Configure quiet hours, automatic DND and digest delivery
+ipcMain.handle('notification:dnd-configure', (event, settings) => {
+  try {
+    const merged = { ...storeManager.get('doNotDisturb'), ...settings };
+
+    const errors = storeManager.getValidationErrors('doNotDisturb', merged);
+    if (errors.length > 0) {
+      return { success: false, error: 'Validation failed', code: 'ERR_VALIDATION', errors };
+    }
+
+    // The store watcher applies the settings to the DND scheduler
+    storeManager.withSource(ipcSource(event, 'notification:dnd-configure'), () => storeManager.set('doNotDisturb', merged));
+    return { success: true, settings: merged };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the rules deciding what happens to notifications during DND
+ipcMain.handle('notification:rules-get', () => {
+  try {
+    return {
+      success: true,
+      rules: storeManager.get('notificationRules'),
+      priorities: notificationManager.PRIORITIES,
+      actions: notificationManager.DND_ACTIONS
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the DND rules (checked in order, first match wins)
+ipcMain.handle('notification:rules-set', (event, rules) => {
+  try {
+    const errors = storeManager.getValidationErrors('notificationRules', rules);
+    if (errors.length > 0) {
+      return { success: false, error: 'Validation failed', code: 'ERR_VALIDATION', errors };
+    }
+
+    // The store watcher applies the rules to the notification manager
+    storeManager.withSource(ipcSource(event, 'notification:rules-set'), () => storeManager.set('notificationRules', rules));
+    return { success: true, rules };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the notifications delivered in the last DND digest
+ipcMain.handle('notification:digest-get', () => {
+  return { success: true, digest: notificationManager.getDigest() };
 });
 
 // Get notification statistics
@@ -791,28 +1275,82 @@ ipcMain.handle('notification:get-stats', () => {
   return notificationManager.getStats();
 });
 
+// Schedule a notification at a time, after a delay or on a cron recurrence
+ipcMain.handle('notification:schedule', (event, notification, when) => {
+  try {
+    const schedule = storeManager.withSource(ipcSource(event, 'notification:schedule'),
+      () => notificationScheduler.schedule(notification, when));
+    return { success: true, schedule };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// List scheduled notifications
+ipcMain.handle('notification:schedule-list', () => {
+  try {
+    return { success: true, schedules: notificationScheduler.list() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Cancel a scheduled notification
+ipcMain.handle('notification:schedule-cancel', (event, id) => {
+  try {
+    const removed = storeManager.withSource(ipcSource(event, 'notification:schedule-cancel'),
+      () => notificationScheduler.cancel(id));
+    if (!removed) {
+      return { success: false, error: `Scheduled notification not found: ${id}` };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Snooze a scheduled notification
+ipcMain.handle('notification:schedule-snooze', (event, id, delay) => {
+  try {
+    const schedule = storeManager.withSource(ipcSource(event, 'notification:schedule-snooze'),
+      () => notificationScheduler.snooze(id, delay));
+    return { success: true, schedule };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 /**
- * Recent Files Management
+ * Apply stored sensitive-content rules to the clipboard monitor
+ * @param {Object} settings - clipboardSensitivity from the store
  */
-function addToRecentFiles(filePath) {
-  // Remove if already exists
-  recentFiles = recentFiles.filter(f => f !== filePath);
-  // Add to beginning
-  recentFiles.unshift(filePath);
-  // Keep only MAX_RECENT_FILES
-  recentFiles = recentFiles.slice(0, MAX_RECENT_FILES);
-  // Update menu
-  createApplicationMenu();
+function applyClipboardSensitivity(settings) {
+  try {
+    clipboardManager.configureSensitivity(settings);
+  } catch (error) {
+    // e.g. a hand-edited rule for an unknown detector; the previous rules stay in effect
+    console.error('Invalid clipboard sensitivity settings:', error.message);
+  }
 }
 
-function getRecentFiles() {
-  return recentFiles;
+/**
+ * Recent Files Management
+ * Entries are stored in the store by RecentFilesManager; the menu is rebuilt
+ * by a store watcher, so imports, undo and profile switches update it too.
+ */
+function addToRecentFiles(filePaths) {
+  try {
+    recentFilesManager.add(filePaths);
+  } catch (error) {
+    console.error('Error recording recent files:', error);
+  }
 }
 
-function clearRecentFiles() {
-  recentFiles = [];
-  createApplicationMenu();
-}
+// macOS: files opened from the Dock's recent documents or dropped on the Dock icon
+app.on('open-file', (event, filePath) => {
+  event.preventDefault();
+  addToRecentFiles(filePath);
+});
 
 /**
  * IPC Handlers for File Dialogs
@@ -853,6 +1391,11 @@ ipcMain.handle('dialog:openFiles', async (event, options) => {
     properties: ['openFile', 'multiSelections', 'showHiddenFiles']
   });
 
+  // Add to recent files if not canceled
+  if (!result.canceled && result.filePaths.length > 0) {
+    addToRecentFiles(result.filePaths);
+  }
+
   return {
     canceled: result.canceled,
     filePaths: result.filePaths
@@ -870,8 +1413,13 @@ ipcMain.handle('dialog:saveFile', async (event, options) => {
     ]
   });
 
-  return {
-    canceled: result.canceled,
+  // Add to recent files if not canceled
+  if (!result.canceled && result.filePath) {
+    addToRecentFiles(result.filePath);
+  }
+
+  return {
+    canceled: result.canceled,
     filePath: result.filePath
   };
 });
@@ -1003,13 +1551,38 @@ ipcMain.handle('file:exists', async (event, filePath) => {
 
 // Get recent files
 ipcMain.handle('file:getRecent', () => {
-  return { recentFiles: getRecentFiles() };
+  recentFilesManager.prune();
+  return { recentFiles: recentFilesManager.getAll() };
 });
 
 // Clear recent files
-ipcMain.handle('file:clearRecent', () => {
-  clearRecentFiles();
-  return { success: true };
+ipcMain.handle('file:clearRecent', (event, options) => {
+  try {
+    recentFilesManager.clear(options);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Record files opened outside the dialogs (e.g. drag and drop)
+ipcMain.handle('file:addRecent', (event, filePaths) => {
+  try {
+    const recentFiles = recentFilesManager.add(filePaths);
+    return { success: true, recentFiles };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Pin or unpin a recent file
+ipcMain.handle('file:pinRecent', (event, filePath, pinned) => {
+  try {
+    const recentFiles = recentFilesManager.pin(filePath, pinned !== false);
+    return { success: true, recentFiles };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
 /**
@@ -1029,11 +1602,12 @@ ipcMain.handle('store:get', (event, key, defaultValue) => {
 // Set a value in store
 ipcMain.handle('store:set', (event, key, value) => {
   try {
-    // Validate before setting
-    if (!storeManager.validate(key, value)) {
-      return { success: false, error: 'Validation failed' };
+    // Validate before setting, reporting every failing path
+    const errors = storeManager.getValidationErrors(key, value);
+    if (errors.length > 0) {
+      return { success: false, error: 'Validation failed', code: 'ERR_VALIDATION', errors };
     }
-    storeManager.set(key, value);
+    storeManager.withSource(ipcSource(event, 'store:set'), () => storeManager.set(key, value));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1053,7 +1627,7 @@ ipcMain.handle('store:has', (event, key) => {
 // Delete a key
 ipcMain.handle('store:delete', (event, key) => {
   try {
-    storeManager.delete(key);
+    storeManager.withSource(ipcSource(event, 'store:delete'), () => storeManager.delete(key));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1061,9 +1635,9 @@ ipcMain.handle('store:delete', (event, key) => {
 });
 
 // Clear all store data
-ipcMain.handle('store:clear', () => {
+ipcMain.handle('store:clear', (event) => {
   try {
-    storeManager.clear();
+    storeManager.withSource(ipcSource(event, 'store:clear'), () => storeManager.clear());
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1071,9 +1645,9 @@ ipcMain.handle('store:clear', () => {
 });
 
 // Reset to defaults
-ipcMain.handle('store:reset', () => {
+ipcMain.handle('store:reset', (event) => {
   try {
-    storeManager.reset();
+    storeManager.withSource(ipcSource(event, 'store:reset'), () => storeManager.reset());
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1113,17 +1687,160 @@ ipcMain.handle('store:export', (event, includeSecrets) => {
 // Import store data
 ipcMain.handle('store:import', (event, jsonString, merge) => {
   try {
-    const success = storeManager.import(jsonString, merge);
+    const success = storeManager.withSource(ipcSource(event, 'store:import'), () => storeManager.import(jsonString, merge));
     return { success };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+// Export the store as a passphrase-protected portable bundle
+ipcMain.handle('store:exportEncrypted', async (event, passphrase) => {
+  try {
+    const data = await storeManager.exportEncrypted(passphrase);
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, keys: error.keys };
+  }
+});
+
+// Import (or preview with dryRun) a passphrase-protected bundle
+ipcMain.handle('store:importEncrypted', async (event, bundle, passphrase, options) => {
+  try {
+    const result = await storeManager.withSource(
+      ipcSource(event, 'store:importEncrypted'),
+      () => storeManager.importEncrypted(bundle, passphrase, options)
+    );
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+// Apply several set/delete operations atomically
+ipcMain.handle('store:transaction', (event, operations) => {
+  try {
+    const result = storeManager.withSource(ipcSource(event, 'store:transaction'), () => storeManager.transaction(operations));
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+// Get the schema that applies to a key
+ipcMain.handle('store:getSchema', (event, key) => {
+  try {
+    const schema = storeManager.getSchema(key);
+    return { success: true, schema };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Register a schema for a userPreferences sub-key
+ipcMain.handle('store:registerSchema', (event, name, schema) => {
+  try {
+    const errors = storeManager.registerPreferenceSchema(name, schema);
+    return { success: true, key: `userPreferences.${name}`, existingErrors: errors };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Run schema migrations (or preview them with dryRun)
+ipcMain.handle('store:migrate', (event, options) => {
+  try {
+    const report = storeManager.migrate(options || {});
+    return { success: true, ...report };
+  } catch (error) {
+    return { success: false, error: error.message, backupPath: error.backupPath };
+  }
+});
+
+// Subscribe the calling renderer to store changes matching a pattern
+ipcMain.handle('store:subscribe', (event, pattern) => {
+  try {
+    const patterns = storeBroadcaster.subscribe(event.sender, pattern);
+    return { success: true, patterns };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Unsubscribe the calling renderer from a pattern (or all patterns)
+ipcMain.handle('store:unsubscribe', (event, pattern) => {
+  try {
+    const patterns = storeBroadcaster.unsubscribe(event.sender, pattern);
+    return { success: true, patterns };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Create a snapshot of the store
+ipcMain.handle('store:snapshotCreate', () => {
+  try {
+    const snapshot = storeManager.createSnapshot('manual');
+    return { success: true, snapshot };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// List store snapshots
+ipcMain.handle('store:snapshotList', () => {
+  try {
+    const snapshots = storeManager.listSnapshots();
+    return { success: true, snapshots };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+// Diff a snapshot against the live store
+ipcMain.handle('store:snapshotDiff', (event, id) => {
+  try {
+    const diff = storeManager.diffSnapshot(id);
+    return { success: true, diff };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Restore a snapshot
+ipcMain.handle('store:snapshotRestore', (event, id) => {
+  try {
+    const result = storeManager.withSource(ipcSource(event, 'store:snapshotRestore'), () => storeManager.restoreSnapshot(id));
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+// Delete a snapshot
+ipcMain.handle('store:snapshotDelete', (event, id) => {
+  try {
+    storeManager.deleteSnapshot(id);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Configure snapshot retention and schedule
+ipcMain.handle('store:snapshotConfigure', (event, settings) => {
+  try {
+    const effective = storeManager.withSource(ipcSource(event, 'store:snapshotConfigure'), () => storeManager.configureSnapshots(settings));
+    return { success: true, settings: effective };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
 // Set encrypted secret
 ipcMain.handle('store:setSecret', (event, key, value) => {
   try {
-    storeManager.setSecret(key, value);
+    storeManager.withSource(ipcSource(event, 'store:setSecret'), () => storeManager.setSecret(key, value));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1136,20 +1853,118 @@ ipcMain.handle('store:getSecret', (event, key) => {
     const value = storeManager.getSecret(key);
     return { success: true, value };
   } catch (error) {
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, code: error.code };
   }
 });
 
 // Delete encrypted secret
 ipcMain.handle('store:deleteSecret', (event, key) => {
   try {
-    storeManager.deleteSecret(key);
+    storeManager.withSource(ipcSource(event, 'store:deleteSecret'), () => storeManager.deleteSecret(key));
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+// Rotate the secret encryption key
+ipcMain.handle('store:rotateSecretKey', () => {
+  try {
+    const result = storeManager.rotateSecretKey();
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, keys: error.keys };
+  }
+});
+
+// Get the store change journal
+ipcMain.handle('store:history', (event, limit) => {
+  try {
+    const history = storeManager.getHistory(limit);
+    return { success: true, ...history };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Undo the most recent store change
+ipcMain.handle('store:undo', (event) => {
+  try {
+    const result = storeManager.withSource(ipcSource(event, 'store:undo'), () => storeManager.undo());
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+// Redo the most recently undone store change
+ipcMain.handle('store:redo', (event) => {
+  try {
+    const result = storeManager.withSource(ipcSource(event, 'store:redo'), () => storeManager.redo());
+    return { success: true, result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, errors: error.errors };
+  }
+});
+
+/**
+ * IPC Handlers for Store Profiles
+ */
+
+// List profiles
+ipcMain.handle('profile:list', () => {
+  try {
+    return { success: true, profiles: profileManager.list(), active: profileManager.getActive() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Create an empty profile
+ipcMain.handle('profile:create', (event, name) => {
+  try {
+    const profile = profileManager.create(name);
+    return { success: true, profile };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Clone a profile under a new name
+ipcMain.handle('profile:clone', (event, source, target) => {
+  try {
+    // Make sure the latest in-memory shortcuts are part of the copy
+    if (profileManager.normalizeName(source) === profileManager.getActive()) {
+      storeManager.withoutJournal(() => storeManager.set('shortcuts', shortcutManager.export()));
+    }
+
+    const profile = profileManager.clone(source, target);
+    return { success: true, profile };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a profile
+ipcMain.handle('profile:delete', (event, name) => {
+  try {
+    profileManager.delete(name);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Switch to another profile
+ipcMain.handle('profile:switch', (event, name) => {
+  try {
+    const result = switchProfile(name);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 /**
  * IPC Handlers for Clipboard Operations
  */
@@ -1284,10 +2099,195 @@ ipcMain.handle('clipboard:getHistory', (event, limit) => {
   }
 });
 
+// Get the image of a clipboard history item
+ipcMain.handle('clipboard:getHistoryImage', (event, id) => {
+  try {
+    const dataURL = clipboardManager.getHistoryImage(id);
+    return { success: true, dataURL };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Configure clipboard history persistence and retention
+ipcMain.handle('clipboard:configureHistory', (event, settings) => {
+  try {
+    const merged = { ...storeManager.get('clipboardSettings'), ...settings };
+
+    const errors = storeManager.getValidationErrors('clipboardSettings', merged);
+    if (errors.length > 0) {
+      return { success: false, error: 'Validation failed', code: 'ERR_VALIDATION', errors };
+    }
+
+    // The store watcher applies the settings to the clipboard manager
+    storeManager.withSource(ipcSource(event, 'clipboard:configureHistory'), () => storeManager.set('clipboardSettings', merged));
+    return { success: true, settings: merged };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Search clipboard history
+ipcMain.handle('clipboard:search', (event, query) => {
+  try {
+    const { items, total } = clipboardManager.search(query);
+    return { success: true, items, total };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Pin or unpin a clipboard history item
+ipcMain.handle('clipboard:pin', (event, id, pinned) => {
+  try {
+    const item = clipboardManager.pin(id, pinned);
+    return { success: true, item };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Set the tags of a clipboard history item
+ipcMain.handle('clipboard:tag', (event, id, tags) => {
+  try {
+    const item = clipboardManager.tag(id, tags);
+    return { success: true, item };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the paste stack
+ipcMain.handle('clipboard:stackGet', () => {
+  try {
+    return { success: true, stack: clipboardManager.getPasteStack() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Start collect mode
+ipcMain.handle('clipboard:stackStart', (event, options) => {
+  try {
+    return { success: true, stack: clipboardManager.startCollecting(options) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Stop collect mode
+ipcMain.handle('clipboard:stackStop', () => {
+  try {
+    return { success: true, stack: clipboardManager.stopCollecting() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Load the next paste stack item into the clipboard
+ipcMain.handle('clipboard:stackNext', () => {
+  try {
+    const next = clipboardManager.loadNextFromStack();
+    return next ? { success: true, ...next } : { success: false, error: 'Paste stack is empty' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Edit the paste stack: update, remove, move, clear or set order
+ipcMain.handle('clipboard:stackEdit', (event, operation, ...args) => {
+  try {
+    let stack;
+    switch (operation) {
+      case 'update':
+        stack = clipboardManager.updateStackItem(args[0], args[1]);
+        break;
+      case 'remove':
+        stack = clipboardManager.removeFromStack(args[0]);
+        break;
+      case 'move':
+        stack = clipboardManager.moveInStack(args[0], args[1]);
+        break;
+      case 'clear':
+        stack = clipboardManager.clearStack();
+        break;
+      case 'order':
+        stack = clipboardManager.setStackOrder(args[0]);
+        break;
+      default:
+        return { success: false, error: `Unknown paste stack operation: ${operation}` };
+    }
+    return { success: true, stack };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// List clipboard transforms
+ipcMain.handle('clipboard:listTransforms', () => {
+  try {
+    const transforms = clipboardManager.transforms.list();
+    return { success: true, transforms };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Transform the clipboard or a history item
+ipcMain.handle('clipboard:transform', (event, names, options) => {
+  try {
+    const { result, item } = clipboardManager.transform(names, options);
+    return { success: true, result, item };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Bind a transform pipeline to a global shortcut
+ipcMain.handle('clipboard:bindTransform', (event, names, accelerator) => {
+  try {
+    const pipeline = clipboardManager.transforms.resolve(names);
+    const result = shortcutManager.register(
+      `clipboard-transform-${pipeline.join('-')}`,
+      accelerator,
+      CLIPBOARD_TRANSFORM_ACTION + pipeline.join(','),
+      `Clipboard: ${pipeline.join(' → ')}`
+    );
+
+    if (result.success) {
+      storeManager.set('shortcuts', shortcutManager.export());
+    }
+
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Configure sensitive-content detection of the clipboard monitor
+ipcMain.handle('clipboard:configureSensitivity', (event, settings = {}) => {
+  try {
+    const current = storeManager.get('clipboardSensitivity');
+    const merged = { ...current, ...settings, rules: { ...current.rules, ...(settings.rules || {}) } };
+
+    const errors = storeManager.getValidationErrors('clipboardSensitivity', merged);
+    if (errors.length > 0) {
+      return { success: false, error: 'Validation failed', code: 'ERR_VALIDATION', errors };
+    }
+
+    // Throws on unknown rules or actions before anything is saved
+    const effective = clipboardManager.configureSensitivity(merged);
+    storeManager.withSource(ipcSource(event, 'clipboard:configureSensitivity'), () => storeManager.set('clipboardSensitivity', merged));
+    return { success: true, settings: effective };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Clear clipboard history
-ipcMain.handle('clipboard:clearHistory', () => {
+ipcMain.handle('clipboard:clearHistory', (event, options) => {
   try {
-    clipboardManager.clearHistory();
+    clipboardManager.clearHistory(options);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1338,7 +2338,174 @@ ipcMain.handle('clipboard:isMonitoring', () => {
 ipcMain.handle('clipboard:getStats', () => {
   try {
     const stats = clipboardManager.getStats();
-    return { success: true, stats };
+    return { success: true, stats: { ...stats, broadcast: clipboardBroadcaster.getStats() } };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Subscribe the calling renderer to clipboard events (all if none are named)
+ipcMain.handle('clipboard:subscribe', (event, events) => {
+  try {
+    const subscribed = clipboardBroadcaster.subscribe(event.sender, events);
+    return { success: true, events: subscribed };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Unsubscribe the calling renderer from clipboard events (all if none are named)
+ipcMain.handle('clipboard:unsubscribe', (event, events) => {
+  try {
+    const remaining = clipboardBroadcaster.unsubscribe(event.sender, events);
+    return { success: true, events: remaining };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * IPC Handlers for In-App Toasts
+ * Only the toast window may report toast interaction.
+ */
+
+// Report a click, action, reply or dismissal of a toast
+ipcMain.handle('toast:event', (event, id, kind, value) => {
+  try {
+    if (!toastCenter.isToastWindow(event.sender)) {
+      return { success: false, error: 'Toast events are only accepted from the toast window' };
+    }
+
+    toastCenter.handleEvent(id, kind, value);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Make the toast window receive the mouse (pointer over a toast) or pass it through
+ipcMain.handle('toast:set-interactive', (event, interactive) => {
+  try {
+    if (!toastCenter.isToastWindow(event.sender)) {
+      return { success: false, error: 'Only the toast window can change its click-through state' };
+    }
+
+    toastCenter.setInteractive(Boolean(interactive));
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * IPC Handlers for Snippets
+ */
+
+// List snippets
+ipcMain.handle('snippet:list', () => {
+  try {
+    const snippets = snippetManager.getAll().map(snippet => ({
+      ...snippet,
+      prompts: snippetManager.getPrompts(snippet),
+      shortcut: shortcutManager.get(snippetShortcutId(snippet.id))
+    }));
+    return { success: true, snippets };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Create a snippet
+ipcMain.handle('snippet:create', (event, data) => {
+  try {
+    const snippet = storeManager.withSource(ipcSource(event, 'snippet:create'), () => snippetManager.create(data));
+    return { success: true, snippet };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Update a snippet
+ipcMain.handle('snippet:update', (event, id, changes) => {
+  try {
+    const snippet = storeManager.withSource(ipcSource(event, 'snippet:update'), () => snippetManager.update(id, changes));
+    return { success: true, snippet };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Delete a snippet and its shortcut
+ipcMain.handle('snippet:delete', (event, id) => {
+  try {
+    const deleted = storeManager.withSource(ipcSource(event, 'snippet:delete'), () => snippetManager.delete(id));
+
+    if (shortcutManager.get(snippetShortcutId(id))) {
+      shortcutManager.remove(snippetShortcutId(id));
+      storeManager.set('shortcuts', shortcutManager.export());
+    }
+
+    return { success: deleted, error: deleted ? undefined : 'Snippet not found' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Expand a snippet into the clipboard
+ipcMain.handle('snippet:expand', (event, id, inputs) => {
+  try {
+    const result = snippetManager.expand(id, inputs);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message, code: error.code, prompts: error.prompts };
+  }
+});
+
+// Export snippets
+ipcMain.handle('snippet:export', () => {
+  try {
+    const data = snippetManager.export();
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Import snippets
+ipcMain.handle('snippet:import', (event, data, options) => {
+  try {
+    const result = storeManager.withSource(ipcSource(event, 'snippet:import'), () => snippetManager.import(data, options));
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Bind a snippet to a global shortcut (null accelerator removes the binding)
+ipcMain.handle('snippet:bind', (event, id, accelerator) => {
+  try {
+    const snippet = snippetManager.get(id);
+    if (!snippet) {
+      return { success: false, error: 'Snippet not found' };
+    }
+
+    const shortcutId = snippetShortcutId(id);
+    const previous = shortcutManager.get(shortcutId);
+    if (previous) {
+      shortcutManager.remove(shortcutId);
+    }
+
+    const result = accelerator
+      ? shortcutManager.register(shortcutId, accelerator, SNIPPET_ACTION + id, `Snippet: ${snippet.name}`)
+      : { success: true, id: shortcutId };
+
+    // Keep the previous binding if the new accelerator is taken
+    if (!result.success && previous && previous.enabled) {
+      shortcutManager.register(shortcutId, previous.accelerator, previous.action, previous.description);
+    }
+
+    storeManager.set('shortcuts', shortcutManager.export());
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -1620,7 +2787,7 @@ ipcMain.handle('shortcuts:import', (event, config) => {
     // Save to store if successful
     if (result.success) {
       const shortcuts = shortcutManager.export();
-      storeManager.set('shortcuts', shortcuts);
+      storeManager.transaction([{ type: 'set', key: 'shortcuts', value: shortcuts }]);
     }
 
     return result;
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 /**
  * Preload script for secure IPC communication
@@ -17,20 +17,34 @@ const validInvokeChannels = [
   'notification:show', 'notification:show-typed', 'notification:close', 'notification:close-all',
   'notification:get-history', 'notification:clear-history', 'notification:get-queue', 'notification:clear-queue',
   'notification:dnd-enable', 'notification:dnd-disable', 'notification:dnd-toggle', 'notification:dnd-status', 'notification:get-stats',
+  'notification:dnd-configure', 'notification:digest-get', 'notification:rules-get', 'notification:rules-set',
+  'notification:schedule', 'notification:schedule-list', 'notification:schedule-cancel', 'notification:schedule-snooze',
   'dialog:openFile', 'dialog:openFiles', 'dialog:saveFile', 'dialog:selectDirectory', 'dialog:showMessageBox',
   'system:getAll', 'system:getOS', 'system:getCPU', 'system:getMemory', 'system:getDisplay', 'system:getPower',
   'system:getAppMetrics', 'system:getNetwork', 'system:generateReport', 'system:exportReport',
   'window:create', 'window:showAbout', 'window:showSettings', 'window:createFloatingNote', 'window:createOverlay',
   'window:getAll', 'window:focus', 'window:position', 'window:minimize', 'window:maximize', 'window:close',
   'file:read', 'file:write', 'file:getMetadata', 'file:exists', 'file:getRecent', 'file:clearRecent',
+  'file:addRecent', 'file:pinRecent',
   'store:get', 'store:set', 'store:delete', 'store:clear', 'store:has', 'store:reset', 'store:getAll',
-  'store:getStats', 'store:export', 'store:import', 'store:setSecret', 'store:getSecret', 'store:deleteSecret',
+  'store:getStats', 'store:export', 'store:import', 'store:exportEncrypted', 'store:importEncrypted', 'store:setSecret', 'store:getSecret', 'store:deleteSecret',
+  'store:rotateSecretKey', 'store:transaction', 'store:history', 'store:undo', 'store:redo', 'store:migrate', 'store:getSchema', 'store:registerSchema', 'store:subscribe', 'store:unsubscribe',
+  'store:snapshotCreate', 'store:snapshotList', 'store:snapshotDiff', 'store:snapshotRestore',
+  'store:snapshotDelete', 'store:snapshotConfigure',
+  'profile:list', 'profile:create', 'profile:clone', 'profile:delete', 'profile:switch',
   'shell:openExternal', 'shell:openPath', 'shell:showItemInFolder', 'shell:moveItemToTrash', 'shell:beep',
   'clipboard:readText', 'clipboard:writeText', 'clipboard:readHTML', 'clipboard:writeHTML',
   'clipboard:readRTF', 'clipboard:writeRTF', 'clipboard:readImage', 'clipboard:writeImage',
   'clipboard:availableFormats', 'clipboard:has', 'clipboard:readAll', 'clipboard:clear',
-  'clipboard:getHistory', 'clipboard:clearHistory', 'clipboard:restoreFromHistory',
+  'clipboard:getHistory', 'clipboard:getHistoryImage', 'clipboard:configureHistory', 'clipboard:configureSensitivity',
+  'clipboard:stackGet', 'clipboard:stackStart', 'clipboard:stackStop', 'clipboard:stackNext', 'clipboard:stackEdit',
+  'clipboard:listTransforms', 'clipboard:transform', 'clipboard:bindTransform',
+  'clipboard:search', 'clipboard:pin', 'clipboard:tag', 'clipboard:clearHistory', 'clipboard:restoreFromHistory',
   'clipboard:startMonitoring', 'clipboard:stopMonitoring', 'clipboard:isMonitoring', 'clipboard:getStats',
+  'clipboard:subscribe', 'clipboard:unsubscribe',
+  'toast:event', 'toast:set-interactive',
+  'snippet:list', 'snippet:create', 'snippet:update', 'snippet:delete', 'snippet:expand',
+  'snippet:export', 'snippet:import', 'snippet:bind',
   'shortcuts:getAll', 'shortcuts:get', 'shortcuts:register', 'shortcuts:unregister', 'shortcuts:update',
   'shortcuts:enable', 'shortcuts:disable', 'shortcuts:toggle', 'shortcuts:checkAvailability',
   'shortcuts:resetToDefaults', 'shortcuts:export', 'shortcuts:import', 'shortcuts:getStats',
@@ -39,7 +53,9 @@ const validInvokeChannels = [
 
 const validEventChannels = [
   'notification:reply-received', 'notification:action-clicked',
-  'protocol:url-received', 'shortcut:triggered'
+  'protocol:url-received', 'shortcut:triggered', 'store:changed',
+  'profile:switched', 'snippet:input-requested', 'clipboard:event',
+  'toast:show', 'toast:remove'
 ];
 
 function isValidChannel(channel) {
@@ -82,6 +98,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * @param {boolean} [options.hasReply] - Enable reply functionality
    * @param {string} [options.replyPlaceholder] - Reply input placeholder
    * @param {string} [options.type] - Notification type: info, success, warning, error
+   * @param {string} [options.priority] - Priority: low, normal, high, critical (matched by DND rules)
+   * @param {string} [options.category] - Source category matched by DND rules, e.g. 'clipboard'
+   * @param {string} [options.groupId] - Replace the previous notification of this group instead of stacking
    * @returns {Promise<Object>} Result object with success status and notification ID
    */
   showNotification: (options) => ipcRenderer.invoke('notification:show', options),
@@ -155,16 +174,75 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   /**
    * Get Do Not Disturb status
-   * @returns {Promise<Object>} Object with enabled property
+   * @returns {Promise<Object>} Object with enabled, reasons and automatic (settings and active sources)
    */
   getDNDStatus: () => ipcRenderer.invoke('notification:dnd-status'),
 
+  /**
+   * Configure quiet hours and automatic Do Not Disturb
+   * @param {Object} settings - Any of { quietHoursEnabled, quietHours: [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }],
+   *   whenLocked, whenFullscreen, digest }
+   * @returns {Promise<Object>} Result with the effective settings
+   */
+  configureDND: (settings) => ipcRenderer.invoke('notification:dnd-configure', settings),
+
+  /**
+   * Get the notifications delivered in the last Do Not Disturb digest
+   * @returns {Promise<Object>} Result with digest { id, createdAt, since, items } or null
+   */
+  getNotificationDigest: () => ipcRenderer.invoke('notification:digest-get'),
+
+  /**
+   * Get the rules deciding what happens to notifications during Do Not Disturb
+   * @returns {Promise<Object>} Result with rules, priorities and actions
+   */
+  getNotificationRules: () => ipcRenderer.invoke('notification:rules-get'),
+
+  /**
+   * Replace the Do Not Disturb rules (checked in order, first match wins)
+   * @param {Array<Object>} rules - [{ name, enabled, priority: ['low'|'normal'|'high'|'critical'], minPriority,
+   *   category: ['clipboard', ...], action: 'deliver'|'queue'|'drop' }]
+   * @returns {Promise<Object>} Result with the saved rules
+   */
+  setNotificationRules: (rules) => ipcRenderer.invoke('notification:rules-set', rules),
+
   /**
    * Get notification statistics
    * @returns {Promise<Object>} Statistics object
    */
   getNotificationStats: () => ipcRenderer.invoke('notification:get-stats'),
 
+  /**
+   * Schedule a notification
+   * @param {Object} notification - Same options as showNotification (title required)
+   * @param {Object} when - Exactly one of { at } (ISO string or ms), { delay } (ms)
+   *   or { cron } ('minute hour day month weekday', e.g. '0 9 * * mon-fri'), plus
+   *   optional catchUp ('latest', 'all' or 'skip') for occurrences missed while closed
+   * @returns {Promise<Object>} Result with the created schedule
+   */
+  scheduleNotification: (notification, when) => ipcRenderer.invoke('notification:schedule', notification, when),
+
+  /**
+   * List scheduled notifications, next delivery first
+   * @returns {Promise<Object>} Result with schedules
+   */
+  getScheduledNotifications: () => ipcRenderer.invoke('notification:schedule-list'),
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object>} Result with success flag
+   */
+  cancelScheduledNotification: (id) => ipcRenderer.invoke('notification:schedule-cancel', id),
+
+  /**
+   * Snooze a scheduled notification
+   * @param {string} id - Schedule ID
+   * @param {number} [delay] - Delay in ms (default 5 minutes)
+   * @returns {Promise<Object>} Result with the updated schedule
+   */
+  snoozeScheduledNotification: (id, delay) => ipcRenderer.invoke('notification:schedule-snooze', id, delay),
+
   /**
    * File Dialog APIs
    */
@@ -243,16 +321,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
   fileExists: (filePath) => ipcRenderer.invoke('file:exists', filePath),
 
   /**
-   * Get recent files list
-   * @returns {Promise<Object>} Result with recentFiles array
+   * Get recent files list (pinned first, missing files pruned)
+   * @returns {Promise<Object>} Result with recentFiles array ({ path, pinned, lastOpened })
    */
   getRecentFiles: () => ipcRenderer.invoke('file:getRecent'),
 
   /**
    * Clear recent files list
+   * @param {Object} [options] - { keepPinned: boolean } (default keeps pinned entries)
    * @returns {Promise<Object>} Result with success flag
    */
-  clearRecentFiles: () => ipcRenderer.invoke('file:clearRecent'),
+  clearRecentFiles: (options) => ipcRenderer.invoke('file:clearRecent', options),
+
+  /**
+   * Record files opened outside the file dialogs
+   * @param {string|Array<string>} filePaths - File path(s)
+   * @returns {Promise<Object>} Result with updated recentFiles
+   */
+  addRecentFiles: (filePaths) => ipcRenderer.invoke('file:addRecent', filePaths),
+
+  /**
+   * Pin or unpin a recent file
+   * @param {string} filePath - File path
+   * @param {boolean} [pinned=true] - Pin state
+   * @returns {Promise<Object>} Result with updated recentFiles
+   */
+  pinRecentFile: (filePath, pinned) => ipcRenderer.invoke('file:pinRecent', filePath, pinned),
+
+  /**
+   * Get the filesystem path of a dropped File
+   * @param {File} file - File from a drop event
+   * @returns {string} Absolute path ('' if the file isn't on disk)
+   */
+  getPathForFile: (file) => webUtils.getPathForFile(file),
 
   /**
    * Persistent Storage APIs (electron-store)
@@ -270,7 +371,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Set value in store
    * @param {string} key - Key to set
    * @param {any} value - Value to store
-   * @returns {Promise<Object>} Result with success flag
+   * @returns {Promise<Object>} Result with success flag, or code ERR_VALIDATION and errors [{ path, keyword, message }]
    */
   storeSet: (key, value) => ipcRenderer.invoke('store:set', key, value),
 
@@ -323,10 +424,142 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Import store data from JSON
    * @param {string} jsonString - JSON data to import
    * @param {boolean} [merge=false] - Merge with existing data
-   * @returns {Promise<Object>} Result with success flag
+   * @returns {Promise<Object>} Result with success flag, or code ERR_VALIDATION and errors
    */
   storeImport: (jsonString, merge) => ipcRenderer.invoke('store:import', jsonString, merge),
 
+  /**
+   * Get the schema that applies to a key
+   * @param {string} key - Key (dot paths supported)
+   * @returns {Promise<Object>} Result with schema (null if undescribed)
+   */
+  storeGetSchema: (key) => ipcRenderer.invoke('store:getSchema', key),
+
+  /**
+   * Register a schema for a userPreferences sub-key
+   * @param {string} name - Preference name (e.g. 'fontSize')
+   * @param {Object} schema - JSON-Schema for the preference
+   * @returns {Promise<Object>} Result with errors for the currently stored value
+   */
+  storeRegisterSchema: (name, schema) => ipcRenderer.invoke('store:registerSchema', name, schema),
+
+  /**
+   * Run pending schema migrations
+   * @param {Object} [options] - Migration options
+   * @param {boolean} [options.dryRun=false] - Only report which keys would change
+   * @returns {Promise<Object>} Result with migration report
+   */
+  storeMigrate: (options) => ipcRenderer.invoke('store:migrate', options),
+
+  /**
+   * Export the store as a passphrase-protected bundle usable on any machine
+   * @param {string} passphrase - Passphrase (min. 8 characters)
+   * @returns {Promise<Object>} Result with bundle JSON in `data`
+   */
+  storeExportEncrypted: (passphrase) => ipcRenderer.invoke('store:exportEncrypted', passphrase),
+
+  /**
+   * Import a passphrase-protected bundle
+   * @param {string} bundle - Bundle JSON
+   * @param {string} passphrase - Passphrase used on export
+   * @param {Object} options - { mode: 'merge' | 'replace', dryRun: boolean }
+   * @returns {Promise<Object>} Result with changes ({ added, removed, changed }), or error code
+   */
+  storeImportEncrypted: (bundle, passphrase, options) => ipcRenderer.invoke('store:importEncrypted', bundle, passphrase, options),
+
+  /**
+   * Apply several set/delete operations atomically (all or nothing)
+   * @param {Array<Object>} operations - { type: 'set' | 'delete', key, value }
+   * @returns {Promise<Object>} Result with transactionId, or validation errors
+   */
+  storeTransaction: (operations) => ipcRenderer.invoke('store:transaction', operations),
+
+  /**
+   * Get the store change journal (newest first)
+   * @param {number} [limit=100] - Maximum entries
+   * @returns {Promise<Object>} Result with entries ({ id, timestamp, operation, source, changes }), canUndo, canRedo
+   */
+  storeHistory: (limit) => ipcRenderer.invoke('store:history', limit),
+
+  /**
+   * Undo the most recent store change
+   * @returns {Promise<Object>} Result with { undone, operation, keys }, or null result if nothing to undo
+   */
+  storeUndo: () => ipcRenderer.invoke('store:undo'),
+
+  /**
+   * Redo the most recently undone store change
+   * @returns {Promise<Object>} Result with { redone, operation, keys }, or null result if nothing to redo
+   */
+  storeRedo: () => ipcRenderer.invoke('store:redo'),
+
+  /**
+   * Subscribe to store changes
+   * Patterns are dot paths; `*` matches one segment, `**` any number of segments.
+   * @param {string} pattern - Key pattern (e.g. 'theme', 'windowState.*', 'userPreferences.**')
+   * @returns {Promise<Object>} Result with all patterns this window is subscribed to
+   */
+  storeSubscribe: (pattern) => ipcRenderer.invoke('store:subscribe', pattern),
+
+  /**
+   * Unsubscribe from store changes
+   * @param {string} [pattern] - Pattern to remove (all if omitted)
+   * @returns {Promise<Object>} Result with remaining patterns
+   */
+  storeUnsubscribe: (pattern) => ipcRenderer.invoke('store:unsubscribe', pattern),
+
+  /**
+   * Listen for store:changed events
+   * @param {Function} callback - Called with { key, value, previousValue, timestamp },
+   *   or { batch: true, transactionId, changes, timestamp } for a transaction
+   * @returns {Function} Function that removes the listener
+   */
+  onStoreChanged: (callback) => {
+    const listener = (event, change) => callback(change);
+    ipcRenderer.on('store:changed', listener);
+    return () => ipcRenderer.removeListener('store:changed', listener);
+  },
+
+  /**
+   * Create a snapshot of the store
+   * @returns {Promise<Object>} Result with snapshot info
+   */
+  storeSnapshotCreate: () => ipcRenderer.invoke('store:snapshotCreate'),
+
+  /**
+   * List store snapshots (newest first)
+   * @returns {Promise<Object>} Result with snapshots array ({ id, reason, createdAt, size })
+   */
+  storeSnapshotList: () => ipcRenderer.invoke('store:snapshotList'),
+
+  /**
+   * Compare a snapshot with the live store
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} Result with diff ({ added, removed, changed, values })
+   */
+  storeSnapshotDiff: (id) => ipcRenderer.invoke('store:snapshotDiff', id),
+
+  /**
+   * Restore the store from a snapshot
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} Result with the ID of the safety snapshot taken before restoring
+   */
+  storeSnapshotRestore: (id) => ipcRenderer.invoke('store:snapshotRestore', id),
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} Result with success flag
+   */
+  storeSnapshotDelete: (id) => ipcRenderer.invoke('store:snapshotDelete', id),
+
+  /**
+   * Configure snapshot retention and schedule
+   * @param {Object} settings - { maxCount, maxAgeDays, intervalMinutes }
+   * @returns {Promise<Object>} Result with effective settings
+   */
+  storeSnapshotConfigure: (settings) => ipcRenderer.invoke('store:snapshotConfigure', settings),
+
   /**
    * Set encrypted secret
    * @param {string} key - Key to store secret under
@@ -338,7 +571,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   /**
    * Get encrypted secret
    * @param {string} key - Key to retrieve secret
-   * @returns {Promise<Object>} Result with decrypted value
+   * @returns {Promise<Object>} Result with decrypted value, or error code ERR_SECRET_INTEGRITY
    */
   storeGetSecret: (key) => ipcRenderer.invoke('store:getSecret', key),
 
@@ -349,6 +582,62 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   storeDeleteSecret: (key) => ipcRenderer.invoke('store:deleteSecret', key),
 
+  /**
+   * Re-encrypt all secrets under a new key
+   * @returns {Promise<Object>} Result with rotated count, or error code and failing keys
+   */
+  storeRotateSecretKey: () => ipcRenderer.invoke('store:rotateSecretKey'),
+
+  /**
+   * Store Profile APIs
+   */
+
+  /**
+   * List store profiles
+   * @returns {Promise<Object>} Result with profiles ({ name, active, path, size, modified }) and active name
+   */
+  profileList: () => ipcRenderer.invoke('profile:list'),
+
+  /**
+   * Create an empty profile
+   * @param {string} name - Profile name (letters, digits, "-" and "_")
+   * @returns {Promise<Object>} Result with profile info
+   */
+  profileCreate: (name) => ipcRenderer.invoke('profile:create', name),
+
+  /**
+   * Clone a profile
+   * @param {string} source - Profile to copy
+   * @param {string} target - New profile name
+   * @returns {Promise<Object>} Result with profile info
+   */
+  profileClone: (source, target) => ipcRenderer.invoke('profile:clone', source, target),
+
+  /**
+   * Delete a profile (not the default or active one)
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>} Result with success flag
+   */
+  profileDelete: (name) => ipcRenderer.invoke('profile:delete', name),
+
+  /**
+   * Switch to another profile
+   * @param {string} name - Profile name
+   * @returns {Promise<Object>} Result with profile and previousProfile
+   */
+  profileSwitch: (name) => ipcRenderer.invoke('profile:switch', name),
+
+  /**
+   * Listen for profile switches
+   * @param {Function} callback - Called with { profile, previousProfile }
+   * @returns {Function} Function that removes the listener
+   */
+  onProfileSwitched: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('profile:switched', listener);
+    return () => ipcRenderer.removeListener('profile:switched', listener);
+  },
+
   /**
    * Clipboard APIs
    */
@@ -437,11 +726,111 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   clipboardGetHistory: (limit) => ipcRenderer.invoke('clipboard:getHistory', limit),
 
+  /**
+   * Get the image of a clipboard history item
+   * @param {number} id - History item ID
+   * @returns {Promise<Object>} Result with dataURL (null if the item has no image)
+   */
+  clipboardGetHistoryImage: (id) => ipcRenderer.invoke('clipboard:getHistoryImage', id),
+
+  /**
+   * Configure clipboard history persistence and retention
+   * @param {Object} settings - { persist, encrypt, maxCount, maxBytes, maxAgeDays }
+   * @returns {Promise<Object>} Result with effective settings
+   */
+  clipboardConfigureHistory: (settings) => ipcRenderer.invoke('clipboard:configureHistory', settings),
+
+  /**
+   * Get the paste stack
+   * @returns {Promise<Object>} Result with stack { collecting, order, items, next }
+   */
+  clipboardStackGet: () => ipcRenderer.invoke('clipboard:stackGet'),
+
+  /**
+   * Start collect mode: every copy is pushed onto the paste stack
+   * @param {Object} options - { order: 'fifo'|'lifo', clear }
+   * @returns {Promise<Object>} Result with stack
+   */
+  clipboardStackStart: (options) => ipcRenderer.invoke('clipboard:stackStart', options),
+
+  /**
+   * Stop collect mode (queued items are kept)
+   * @returns {Promise<Object>} Result with stack
+   */
+  clipboardStackStop: () => ipcRenderer.invoke('clipboard:stackStop'),
+
+  /**
+   * Load the next paste stack item into the clipboard
+   * @returns {Promise<Object>} Result with item and remaining count
+   */
+  clipboardStackNext: () => ipcRenderer.invoke('clipboard:stackNext'),
+
+  /**
+   * Edit the paste stack
+   * @param {string} operation - 'update' (id, text), 'remove' (id), 'move' (id, index), 'clear' or 'order' ('fifo'|'lifo')
+   * @param {...any} args - Operation arguments
+   * @returns {Promise<Object>} Result with stack
+   */
+  clipboardStackEdit: (operation, ...args) => ipcRenderer.invoke('clipboard:stackEdit', operation, ...args),
+
+  /**
+   * List clipboard transforms
+   * @returns {Promise<Object>} Result with transforms ({ name, description, input })
+   */
+  clipboardListTransforms: () => ipcRenderer.invoke('clipboard:listTransforms'),
+
+  /**
+   * Transform the clipboard (or a history item) and write the result back
+   * @param {string|Array<string>} names - Transform name(s), run as a pipeline
+   * @param {Object} options - { historyId, ...transform options such as indent }
+   * @returns {Promise<Object>} Result with the transformed text and derived history item
+   */
+  clipboardTransform: (names, options) => ipcRenderer.invoke('clipboard:transform', names, options),
+
+  /**
+   * Bind a transform pipeline to a global shortcut
+   * @param {string|Array<string>} names - Transform name(s)
+   * @param {string} accelerator - Accelerator (e.g., 'CommandOrControl+Alt+J')
+   * @returns {Promise<Object>} Shortcut registration result
+   */
+  clipboardBindTransform: (names, accelerator) => ipcRenderer.invoke('clipboard:bindTransform', names, accelerator),
+
+  /**
+   * Configure sensitive-content detection of the clipboard monitor
+   * @param {Object} settings - { enabled, ttlSeconds, clearAfterSeconds, rules: { name: { enabled, action } } }
+   * @returns {Promise<Object>} Result with effective settings, including every rule
+   */
+  clipboardConfigureSensitivity: (settings) => ipcRenderer.invoke('clipboard:configureSensitivity', settings),
+
+  /**
+   * Search clipboard history
+   * @param {Object} query - { text, types, from, to, source, tags, pinned, limit, offset }
+   * @returns {Promise<Object>} Result with matching items and total count
+   */
+  clipboardSearch: (query) => ipcRenderer.invoke('clipboard:search', query),
+
+  /**
+   * Pin or unpin a clipboard history item
+   * @param {number} id - History item ID
+   * @param {boolean} pinned - Pin state
+   * @returns {Promise<Object>} Result with updated item
+   */
+  clipboardPin: (id, pinned) => ipcRenderer.invoke('clipboard:pin', id, pinned),
+
+  /**
+   * Set the tags of a clipboard history item
+   * @param {number} id - History item ID
+   * @param {Array<string>} tags - Tags
+   * @returns {Promise<Object>} Result with updated item
+   */
+  clipboardTag: (id, tags) => ipcRenderer.invoke('clipboard:tag', id, tags),
+
   /**
    * Clear clipboard history
+   * @param {Object} options - { keepPinned } (default keeps pinned items)
    * @returns {Promise<Object>} Result with success flag
    */
-  clipboardClearHistory: () => ipcRenderer.invoke('clipboard:clearHistory'),
+  clipboardClearHistory: (options) => ipcRenderer.invoke('clipboard:clearHistory', options),
 
   /**
    * Restore item from history to clipboard
@@ -475,6 +864,73 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   clipboardGetStats: () => ipcRenderer.invoke('clipboard:getStats'),
 
+  /**
+   * Subscribe to clipboard events
+   * Events: clipboard-changed, clipboard-cleared, history-updated, history-cleared,
+   * history-restored, monitoring-started, monitoring-stopped, monitoring-paused,
+   * monitoring-resumed, sensitive-content, clipboard-transformed, paste-stack-changed
+   * @param {string|Array<string>} [events] - Event name(s), all events if omitted
+   * @returns {Promise<Object>} Result with all events this window is subscribed to
+   */
+  clipboardSubscribe: (events) => ipcRenderer.invoke('clipboard:subscribe', events),
+
+  /**
+   * Unsubscribe from clipboard events
+   * @param {string|Array<string>} [events] - Event name(s) to remove (all if omitted)
+   * @returns {Promise<Object>} Result with remaining events
+   */
+  clipboardUnsubscribe: (events) => ipcRenderer.invoke('clipboard:unsubscribe', events),
+
+  /**
+   * Report interaction with an in-app toast (toast window only)
+   * @param {number} id - Toast ID
+   * @param {string} kind - 'click', 'action', 'reply', 'dismiss' or 'timeout'
+   * @param {number|string} [value] - Action index or reply text
+   * @returns {Promise<Object>} Result object
+   */
+  sendToastEvent: (id, kind, value) => ipcRenderer.invoke('toast:event', id, kind, value),
+
+  /**
+   * Let the toast window receive the mouse or pass it through (toast window only)
+   * @param {boolean} interactive - True while the pointer is over a toast
+   * @returns {Promise<Object>} Result object
+   */
+  setToastInteractive: (interactive) => ipcRenderer.invoke('toast:set-interactive', interactive),
+
+  /**
+   * Listen for toasts to show
+   * @param {Function} callback - Called with { id, title, body, type, actions, hasReply,
+   *   replyPlaceholder, timeoutMs, position }
+   * @returns {Function} Function that removes the listener
+   */
+  onToastShow: (callback) => {
+    const listener = (event, toast) => callback(toast);
+    ipcRenderer.on('toast:show', listener);
+    return () => ipcRenderer.removeListener('toast:show', listener);
+  },
+
+  /**
+   * Listen for toasts to remove
+   * @param {Function} callback - Called with { id }
+   * @returns {Function} Function that removes the listener
+   */
+  onToastRemove: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('toast:remove', listener);
+    return () => ipcRenderer.removeListener('toast:remove', listener);
+  },
+
+  /**
+   * Listen for clipboard:event messages
+   * @param {Function} callback - Called with { event, data, timestamp }
+   * @returns {Function} Function that removes the listener
+   */
+  onClipboardEvent: (callback) => {
+    const listener = (event, message) => callback(message);
+    ipcRenderer.on('clipboard:event', listener);
+    return () => ipcRenderer.removeListener('clipboard:event', listener);
+  },
+
   /**
    * Shell Integration APIs
    */
@@ -513,6 +969,81 @@ contextBridge.exposeInMainWorld('electronAPI', {
    */
   shellBeep: () => ipcRenderer.invoke('shell:beep'),
 
+  /**
+   * Snippet APIs
+   */
+
+  /**
+   * List snippets
+   * @returns {Promise<Object>} Result with snippets (including prompts and bound shortcut)
+   */
+  snippetList: () => ipcRenderer.invoke('snippet:list'),
+
+  /**
+   * Create a snippet
+   * @param {Object} data - { name, type: 'text'|'html', content, description }
+   * @returns {Promise<Object>} Result with the created snippet
+   */
+  snippetCreate: (data) => ipcRenderer.invoke('snippet:create', data),
+
+  /**
+   * Update a snippet
+   * @param {string} id - Snippet ID
+   * @param {Object} changes - { name, type, content, description }
+   * @returns {Promise<Object>} Result with the updated snippet
+   */
+  snippetUpdate: (id, changes) => ipcRenderer.invoke('snippet:update', id, changes),
+
+  /**
+   * Delete a snippet and its shortcut
+   * @param {string} id - Snippet ID
+   * @returns {Promise<Object>} Result with success flag
+   */
+  snippetDelete: (id) => ipcRenderer.invoke('snippet:delete', id),
+
+  /**
+   * Expand a snippet into the clipboard
+   * Placeholders: {date}, {time}, {clipboard}, {uuid}, {input:Prompt}
+   * @param {string} id - Snippet ID
+   * @param {Object} inputs - Values for {input:Prompt} placeholders, keyed by prompt
+   * @returns {Promise<Object>} Result with text (and html); code ERR_SNIPPET_INPUT and prompts if inputs are missing
+   */
+  snippetExpand: (id, inputs) => ipcRenderer.invoke('snippet:expand', id, inputs),
+
+  /**
+   * Export snippets
+   * @returns {Promise<Object>} Result with JSON data
+   */
+  snippetExport: () => ipcRenderer.invoke('snippet:export'),
+
+  /**
+   * Import snippets
+   * @param {string} data - JSON from snippetExport, or an array of snippets
+   * @param {Object} options - { merge } (default merges by name)
+   * @returns {Promise<Object>} Result with added and updated counts
+   */
+  snippetImport: (data, options) => ipcRenderer.invoke('snippet:import', data, options),
+
+  /**
+   * Bind a snippet to a global shortcut
+   * @param {string} id - Snippet ID
+   * @param {string|null} accelerator - Accelerator, or null to remove the binding
+   * @returns {Promise<Object>} Shortcut registration result
+   */
+  snippetBind: (id, accelerator) => ipcRenderer.invoke('snippet:bind', id, accelerator),
+
+  /**
+   * Listen for snippet shortcuts that need {input:...} values
+   * Answer by calling snippetExpand(id, inputs).
+   * @param {Function} callback - Called with { id, name, prompts }
+   * @returns {Function} Function that removes the listener
+   */
+  onSnippetInputRequested: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('snippet:input-requested', listener);
+    return () => ipcRenderer.removeListener('snippet:input-requested', listener);
+  },
+
   /**
    * Global Shortcuts APIs
    */
@@ -0,0 +1,169 @@
+/**
+ * Clipboard Broadcaster
+ *
+ * Pushes ClipboardManager events to subscribed renderers as `clipboard:event`
+ * messages, so pages don't have to poll the history.
+ *
+ * Features:
+ * - Per-webContents event subscriptions (all events if none are named)
+ * - Compact payloads: `history-updated` carries the size and newest entry,
+ *   not the whole history
+ * - Automatic cleanup when a webContents is destroyed
+ *
+ * Messages have the shape { event, data, timestamp }.
+ */
+
+// Forwarded events and how their arguments become the payload
+const EVENTS = {
+  'clipboard-changed': (text, info) => ({ text, ...info }),
+  'clipboard-cleared': () => null,
+  'history-updated': history => ({ size: history.length, latest: history[0] || null }),
+  'history-cleared': () => null,
+  'history-restored': item => ({ item }),
+  'monitoring-started': () => null,
+  'monitoring-stopped': () => null,
+  'monitoring-paused': reason => ({ reason }),
+  'monitoring-resumed': reason => ({ reason }),
+  'sensitive-content': decision => decision,
+  'clipboard-transformed': result => result,
+  'paste-stack-changed': state => state
+};
+
+class ClipboardBroadcaster {
+  /**
+   * @param {Object} clipboardManager - ClipboardManager instance
+   */
+  constructor(clipboardManager) {
+    this.clipboardManager = clipboardManager;
+
+    // Subscribers: webContents.id => { webContents, events: Set<string> }
+    this.subscribers = new Map();
+
+    // Statistics
+    this.stats = {
+      totalBroadcast: 0,
+      totalSent: 0
+    };
+
+    // Listeners added to the clipboard manager, removed in cleanup()
+    this.listeners = Object.entries(EVENTS).map(([event, toPayload]) => {
+      const listener = (...args) => this.broadcast(event, toPayload(...args));
+      clipboardManager.on(event, listener);
+      return [event, listener];
+    });
+  }
+
+  /**
+   * Subscribe a renderer to clipboard events
+   * @param {import('electron').WebContents} webContents - Subscribing renderer
+   * @param {string|Array<string>} [events] - Event name(s), all events if omitted
+   * @returns {Array<string>} All events the renderer is subscribed to
+   */
+  subscribe(webContents, events) {
+    const names = this.resolve(events);
+    let entry = this.subscribers.get(webContents.id);
+
+    if (!entry) {
+      entry = { webContents, events: new Set() };
+      this.subscribers.set(webContents.id, entry);
+
+      const id = webContents.id;
+      webContents.once('destroyed', () => {
+        this.subscribers.delete(id);
+        console.log(`Clipboard subscriptions removed for destroyed webContents ${id}`);
+      });
+    }
+
+    names.forEach(name => entry.events.add(name));
+    return Array.from(entry.events);
+  }
+
+  /**
+   * Unsubscribe a renderer from some events, or from everything
+   * @param {import('electron').WebContents} webContents - Renderer
+   * @param {string|Array<string>} [events] - Event name(s) to remove (all if omitted)
+   * @returns {Array<string>} Remaining events
+   */
+  unsubscribe(webContents, events) {
+    const entry = this.subscribers.get(webContents.id);
+    if (!entry) return [];
+
+    this.resolve(events).forEach(name => entry.events.delete(name));
+
+    if (entry.events.size === 0) {
+      this.subscribers.delete(webContents.id);
+      return [];
+    }
+
+    return Array.from(entry.events);
+  }
+
+  /**
+   * Resolve event names, throwing on unknown ones
+   * @param {string|Array<string>} [events] - Event name(s)
+   * @returns {Array<string>} Event names (all if none given)
+   * @private
+   */
+  resolve(events) {
+    if (events === undefined || events === null) return Object.keys(EVENTS);
+
+    const names = Array.isArray(events) ? events : [events];
+    names.forEach(name => {
+      if (!EVENTS[name]) {
+        throw new Error(`Unknown clipboard event: ${name} (expected ${Object.keys(EVENTS).join(', ')})`);
+      }
+    });
+    return names;
+  }
+
+  /**
+   * Send an event to every renderer subscribed to it
+   * @param {string} event - Event name
+   * @param {*} data - Payload
+   * @private
+   */
+  broadcast(event, data) {
+    this.stats.totalBroadcast++;
+    const message = { event, data, timestamp: Date.now() };
+
+    for (const [id, entry] of this.subscribers.entries()) {
+      if (entry.webContents.isDestroyed()) {
+        this.subscribers.delete(id);
+        continue;
+      }
+
+      if (!entry.events.has(event)) continue;
+
+      try {
+        entry.webContents.send('clipboard:event', message);
+        this.stats.totalSent++;
+      } catch (error) {
+        console.error(`Error sending clipboard event to webContents ${id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get broadcaster statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      subscribers: this.subscribers.size,
+      events: Object.keys(EVENTS)
+    };
+  }
+
+  /**
+   * Cleanup - stop listening to the clipboard manager and drop all subscriptions
+   */
+  cleanup() {
+    this.listeners.forEach(([event, listener]) => this.clipboardManager.removeListener(event, listener));
+    this.subscribers.clear();
+  }
+}
+
+ClipboardBroadcaster.EVENTS = Object.keys(EVENTS);
+
+module.exports = ClipboardBroadcaster;
@@ -0,0 +1,322 @@
+/**
+ * Clipboard Classifier
+ *
+ * Detects sensitive content copied to the clipboard so the monitor doesn't
+ * keep it in the history as is.
+ *
+ * Features:
+ * - Built-in detectors: credit card numbers (Luhn), JWTs, private-key blocks,
+ *   AWS access keys, GitHub tokens and high-entropy strings
+ * - Pluggable: register(detector) adds or replaces a detector
+ * - Per-rule action: 'skip' (not recorded), 'mask' (matches redacted) or
+ *   'ttl' (recorded, expires after ttlSeconds)
+ * - Optional clearing of the clipboard itself after clearAfterSeconds
+ *
+ * A detector is { name, action, detect(text) => Array<{ start, end }>, mask?(value) }.
+ */
+
+// Strictest first: when several rules match, the first action in this list wins
+const ACTIONS = ['skip', 'mask', 'ttl'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  ttlSeconds: 60,
+  clearAfterSeconds: 0,
+  rules: {}
+};
+
+/**
+ * Collect the ranges of all regex matches
+ * @param {RegExp} regex - Global regex
+ * @param {string} text - Text to search
+ * @param {Function} [accept] - Extra check on the matched value
+ * @returns {Array<Object>} { start, end } ranges
+ */
+function findAll(regex, text, accept = () => true) {
+  const ranges = [];
+  for (const match of text.matchAll(regex)) {
+    if (accept(match[0])) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value - String
+ * @returns {number} Bits per character
+ */
+function entropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((bits, count) => {
+    const p = count / value.length;
+    return bits - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Default mask: keep the last 4 characters
+ * @param {string} value - Sensitive value
+ * @returns {string} Masked value
+ */
+function maskKeepLast4(value) {
+  return value.length > 8 ? `••••${value.slice(-4)}` : '••••';
+}
+
+const BUILT_IN_DETECTORS = [
+  {
+    name: 'creditCard',
+    action: 'mask',
+    detect: text => findAll(/\b\d(?:[ -]?\d){12,18}\b/g, text, value => luhnValid(value.replace(/\D/g, ''))),
+    mask: value => `•••• ${value.replace(/\D/g, '').slice(-4)}`
+  },
+  {
+    name: 'jwt',
+    action: 'ttl',
+    detect: text => findAll(/\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, text)
+  },
+  {
+    name: 'privateKey',
+    action: 'skip',
+    detect: text => findAll(/-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g, text),
+    mask: () => '[private key]'
+  },
+  {
+    name: 'awsAccessKey',
+    action: 'skip',
+    detect: text => findAll(/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, text)
+  },
+  {
+    name: 'githubToken',
+    action: 'skip',
+    detect: text => findAll(/\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g, text)
+  },
+  {
+    name: 'highEntropy',
+    action: 'ttl',
+    // Long runs of mixed letters and digits that look random (API keys, secrets)
+    detect: text => findAll(/[A-Za-z0-9+_=-]{24,}/g, text, value =>
+      /[A-Za-z]/.test(value) && /\d/.test(value) && entropy(value) >= 4
+    )
+  }
+];
+
+class ClipboardClassifier {
+  /**
+   * @param {Object} settings - Initial settings, see DEFAULT_SETTINGS
+   */
+  constructor(settings = {}) {
+    this.detectors = new Map(BUILT_IN_DETECTORS.map(detector => [detector.name, detector]));
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.configure(settings);
+  }
+
+  /**
+   * Add or replace a detector
+   * @param {Object} detector - { name, action, detect(text), mask?(value) }
+   */
+  register(detector) {
+    if (!detector || typeof detector.name !== 'string' || typeof detector.detect !== 'function') {
+      throw new Error('A detector needs a name and a detect function');
+    }
+    if (!ACTIONS.includes(detector.action)) {
+      throw new Error(`Invalid action for ${detector.name}: ${detector.action}`);
+    }
+    this.detectors.set(detector.name, detector);
+  }
+
+  /**
+   * Remove a detector
+   * @param {string} name - Detector name
+   * @returns {boolean} True if it existed
+   */
+  unregister(name) {
+    return this.detectors.delete(name);
+  }
+
+  /**
+   * Update settings
+   * @param {Object} settings - { enabled, ttlSeconds, clearAfterSeconds, rules: { name: { enabled, action } } }
+   * @returns {Object} Effective settings
+   * @throws {Error} If a rule refers to an unknown detector or action
+   */
+  configure(settings = {}) {
+    const rules = { ...this.settings.rules, ...(settings.rules || {}) };
+
+    Object.entries(rules).forEach(([name, rule]) => {
+      if (!this.detectors.has(name)) {
+        throw new Error(`Unknown sensitive-content rule: ${name}`);
+      }
+      if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+        throw new Error(`Invalid action for ${name}: ${rule.action} (expected ${ACTIONS.join(', ')})`);
+      }
+    });
+
+    this.settings = { ...this.settings, ...settings, rules };
+    return this.getSettings();
+  }
+
+  /**
+   * Get settings, with the effective rule of every detector
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    const rules = {};
+    this.detectors.forEach((detector, name) => {
+      rules[name] = this.getRule(name);
+    });
+    return { ...this.settings, rules };
+  }
+
+  /**
+   * Get the effective rule of a detector
+   * @param {string} name - Detector name
+   * @returns {Object} { enabled, action }
+   * @private
+   */
+  getRule(name) {
+    const override = this.settings.rules[name] || {};
+    return {
+      enabled: override.enabled !== false,
+      action: override.action || this.detectors.get(name).action
+    };
+  }
+
+  /**
+   * Classify text
+   * @param {string} text - Clipboard text
+   * @returns {Object} { action: 'allow'|'skip'|'mask'|'ttl', actions, rules, ranges }
+   *   (action is the strictest of the matched rules' actions)
+   */
+  classify(text) {
+    const result = { action: 'allow', actions: [], rules: [], ranges: [] };
+    if (!this.settings.enabled || !text) return result;
+
+    const actions = new Set();
+
+    this.detectors.forEach((detector, name) => {
+      const rule = this.getRule(name);
+      if (!rule.enabled) return;
+
+      let ranges;
+      try {
+        ranges = detector.detect(text) || [];
+      } catch (error) {
+        console.error(`Clipboard detector ${name} failed:`, error);
+        return;
+      }
+
+      if (ranges.length > 0) {
+        result.rules.push(name);
+        actions.add(rule.action);
+        ranges.forEach(range => result.ranges.push({ ...range, rule: name }));
+      }
+    });
+
+    if (result.rules.length > 0) {
+      result.actions = ACTIONS.filter(action => actions.has(action));
+      result.action = result.actions[0];
+    }
+
+    return result;
+  }
+
+  /**
+   * Classify every text format of a clipboard snapshot
+   * @param {Object} formats - { text?, html?, rtf? }
+   * @returns {Object} { action, actions, rules, ranges: { format: Array } } with the strictest action
+   */
+  classifyFormats(formats) {
+    const result = { action: 'allow', actions: [], rules: [], ranges: {} };
+    const actions = new Set();
+
+    Object.entries(formats).forEach(([format, text]) => {
+      const classification = this.classify(text);
+      if (classification.action === 'allow') return;
+
+      classification.actions.forEach(action => actions.add(action));
+      result.ranges[format] = classification.ranges;
+      classification.rules.forEach(rule => {
+        if (!result.rules.includes(rule)) result.rules.push(rule);
+      });
+    });
+
+    if (actions.size > 0) {
+      result.actions = ACTIONS.filter(action => actions.has(action));
+      result.action = result.actions[0];
+    }
+
+    return result;
+  }
+
+  /**
+   * Redact the matched ranges of a classification
+   * Overlapping and nested ranges are merged into one span, masked once with
+   * the mask function of the widest rule in it.
+   * @param {string} text - Classified text
+   * @param {Array<Object>} ranges - Ranges from classify()
+   * @returns {string} Text with every match masked
+   */
+  mask(text, ranges) {
+    const spans = [];
+
+    [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+      const last = spans[spans.length - 1];
+      if (last && range.start < last.end) {
+        last.end = Math.max(last.end, range.end);
+        if (range.end - range.start > last.widest.end - last.widest.start) last.widest = range;
+      } else {
+        spans.push({ start: range.start, end: range.end, widest: range });
+      }
+    });
+
+    // Right to left so earlier offsets stay valid
+    return spans.reduceRight((masked, span) => {
+      const detector = this.detectors.get(span.widest.rule);
+      const maskFn = (detector && detector.mask) || maskKeepLast4;
+      return masked.slice(0, span.start) + maskFn(text.slice(span.start, span.end)) + masked.slice(span.end);
+    }, text);
+  }
+
+  /**
+   * Redact every classified format
+   * @param {Object} formats - { text?, html?, rtf? }
+   * @param {Object} classification - Result of classifyFormats()
+   * @returns {Object} Formats with matches masked
+   */
+  maskFormats(formats, classification) {
+    const masked = {};
+    Object.entries(formats).forEach(([format, text]) => {
+      const ranges = classification.ranges[format];
+      masked[format] = ranges ? this.mask(text, ranges) : text;
+    });
+    return masked;
+  }
+}
+
+ClipboardClassifier.ACTIONS = ACTIONS;
+ClipboardClassifier.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = ClipboardClassifier;
@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SecretKeyStore = require('./secretKeyStore');
+
+/**
+ * Clipboard History Store
+ *
+ * Persists the clipboard history in its own file in userData, separate from
+ * the settings store (it changes far more often and can get large).
+ *
+ * Features:
+ * - History in `clipboard-history.json`, written atomically
+ * - Images kept as PNG files in `clipboard-images/`, referenced by file name
+ * - Optional AES-256-GCM encryption of the history and images, with a key
+ *   of its own (`clipboard-history.key`, wrapped by safeStorage when available)
+ * - Retention by entry count, total bytes and age
+ * - Entries with an `expiresAt` (sensitive content) stay in memory only
+ */
+
+const HISTORY_FILE_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Default retention; maxBytes and maxAgeDays of 0 mean unlimited
+const DEFAULT_SETTINGS = {
+  persist: true,
+  encrypt: false,
+  maxCount: 50,
+  maxBytes: 20 * 1024 * 1024,
+  maxAgeDays: 30
+};
+
+class ClipboardHistoryStore {
+  /**
+   * @param {string} dirPath - Directory holding the history (userData)
+   * @param {Object} settings - Initial settings, see DEFAULT_SETTINGS
+   */
+  constructor(dirPath, settings = {}) {
+    this.filePath = path.join(dirPath, 'clipboard-history.json');
+    this.imageDir = path.join(dirPath, 'clipboard-images');
+    this.keyStore = new SecretKeyStore(path.join(dirPath, 'clipboard-history.key'));
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.fileEncrypted = null; // Encryption of the file as last loaded or saved
+  }
+
+  /**
+   * Update settings
+   * @param {Object} settings - Settings to change
+   * @returns {Object} Effective settings
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    return { ...this.settings };
+  }
+
+  /**
+   * Get current settings
+   * @returns {Object} Settings
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Load persisted entries
+   * Unreadable files are moved aside rather than overwritten.
+   * @returns {Array<Object>} Entries, newest first
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    try {
+      const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.fileEncrypted = Boolean(file.encrypted);
+      const entries = file.encrypted
+        ? JSON.parse(this.decrypt(Buffer.from(file.data, 'base64')).toString('utf8'))
+        : file.entries;
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      const invalidPath = `${this.filePath}.invalid-${Date.now()}`;
+      fs.renameSync(this.filePath, invalidPath);
+      console.error(`Unreadable clipboard history moved to ${invalidPath}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Write entries, encrypted if enabled
+   * Entries with an `expiresAt` are left out, so sensitive content never
+   * reaches the disk.
+   * @param {Array<Object>} entries - Entries, newest first
+   */
+  save(entries) {
+    const file = { version: HISTORY_FILE_VERSION, encrypted: this.settings.encrypt };
+    const persisted = entries.filter(entry => !entry.expiresAt);
+
+    if (this.settings.encrypt) {
+      file.data = this.encrypt(Buffer.from(JSON.stringify(persisted), 'utf8')).toString('base64');
+    } else {
+      file.entries = persisted;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.writeAtomic(this.filePath, JSON.stringify(file));
+    this.fileEncrypted = this.settings.encrypt;
+  }
+
+  /**
+   * Delete the history file, keeping images
+   */
+  removeFile() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
+  }
+
+  /**
+   * Delete the history file and all images
+   */
+  clear() {
+    this.removeFile();
+    if (fs.existsSync(this.imageDir)) {
+      fs.rmSync(this.imageDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Store an image next to the history
+   * @param {Buffer} png - PNG data
+   * @returns {Object} { file, bytes }
+   */
+  writeImage(png) {
+    const file = `${crypto.randomUUID()}.png${this.settings.encrypt ? '.enc' : ''}`;
+    const data = this.settings.encrypt ? this.encrypt(png) : png;
+
+    fs.mkdirSync(this.imageDir, { recursive: true });
+    this.writeAtomic(path.join(this.imageDir, file), data);
+    return { file, bytes: png.length };
+  }
+
+  /**
+   * Read a stored image
+   * @param {string} file - Image file name
+   * @returns {Buffer|null} PNG data, or null if missing
+   */
+  readImage(file) {
+    const imagePath = this.resolveImage(file);
+    if (!fs.existsSync(imagePath)) return null;
+
+    const data = fs.readFileSync(imagePath);
+    return file.endsWith('.enc') ? this.decrypt(data) : data;
+  }
+
+  /**
+   * Delete a stored image
+   * @param {string} file - Image file name
+   */
+  deleteImage(file) {
+    const imagePath = this.resolveImage(file);
+    if (fs.existsSync(imagePath)) {
+      fs.unlinkSync(imagePath);
+    }
+  }
+
+  /**
+   * Re-write images so they match the current encryption setting
+   * @param {Array<Object>} entries - Entries whose imageFile may be renamed
+   * @returns {number} Images re-written
+   */
+  recodeImages(entries) {
+    let recoded = 0;
+
+    entries.forEach(entry => {
+      if (!entry.imageFile || entry.imageFile.endsWith('.enc') === this.settings.encrypt) return;
+
+      const png = this.readImage(entry.imageFile);
+      if (!png) return;
+
+      const previous = entry.imageFile;
+      entry.imageFile = this.writeImage(png).file;
+      this.deleteImage(previous);
+      recoded++;
+    });
+
+    return recoded;
+  }
+
+  /**
+   * Delete image files no entry refers to (left over from a crash)
+   * @param {Array<Object>} entries - Current entries
+   * @returns {number} Files removed
+   */
+  removeOrphanImages(entries) {
+    if (!fs.existsSync(this.imageDir)) return 0;
+
+    const referenced = new Set(entries.map(entry => entry.imageFile).filter(Boolean));
+    const orphans = fs.readdirSync(this.imageDir).filter(file => !referenced.has(file));
+    orphans.forEach(file => this.deleteImage(file));
+    return orphans.length;
+  }
+
+  /**
+   * Apply retention to entries
+   * Pinned entries are always kept and don't count against the limits.
+   * Entries past their `expiresAt` (sensitive content) are always removed.
+   * @param {Array<Object>} entries - Entries, newest first, each with `bytes`
+   * @returns {Object} { kept, removed }
+   */
+  applyRetention(entries) {
+    const { maxCount, maxBytes, maxAgeDays } = this.settings;
+    const minTimestamp = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+    const now = Date.now();
+    const kept = [];
+    const removed = [];
+    let count = 0;
+    let bytes = 0;
+
+    entries.forEach(entry => {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        removed.push(entry);
+        return;
+      }
+
+      if (entry.pinned) {
+        kept.push(entry);
+        return;
+      }
+
+      const withinLimits = entry.timestamp >= minTimestamp &&
+        count + 1 <= maxCount &&
+        (!maxBytes || bytes + (entry.bytes || 0) <= maxBytes);
+
+      if (withinLimits) {
+        kept.push(entry);
+        count++;
+        bytes += entry.bytes || 0;
+      } else {
+        removed.push(entry);
+      }
+    });
+
+    removed.forEach(entry => {
+      if (entry.imageFile) this.deleteImage(entry.imageFile);
+    });
+
+    return { kept, removed };
+  }
+
+  /**
+   * Check if the file on disk doesn't match the encryption setting
+   * @returns {boolean} True if the history should be saved again
+   */
+  needsRewrite() {
+    return this.fileEncrypted !== null && this.fileEncrypted !== this.settings.encrypt;
+  }
+
+  /**
+   * Get on-disk usage
+   * @returns {Object} { path, exists, encrypted, fileSize, imageCount, imageBytes }
+   */
+  getInfo() {
+    const exists = fs.existsSync(this.filePath);
+    let imageCount = 0;
+    let imageBytes = 0;
+
+    if (fs.existsSync(this.imageDir)) {
+      fs.readdirSync(this.imageDir).forEach(file => {
+        imageCount++;
+        imageBytes += fs.statSync(path.join(this.imageDir, file)).size;
+      });
+    }
+
+    return {
+      path: this.filePath,
+      exists,
+      encrypted: this.settings.encrypt,
+      fileSize: exists ? fs.statSync(this.filePath).size : 0,
+      imageCount,
+      imageBytes
+    };
+  }
+
+  /**
+   * Resolve an image file name inside the image directory
+   * @param {string} file - Image file name
+   * @returns {string} Absolute path
+   * @private
+   */
+  resolveImage(file) {
+    // File names come from the history file, which may have been edited
+    return path.join(this.imageDir, path.basename(file));
+  }
+
+  /**
+   * Encrypt data with the clipboard key
+   * @param {Buffer} data - Plaintext
+   * @returns {Buffer} iv + authTag + ciphertext
+   * @private
+   */
+  encrypt(data) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keyStore.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * Decrypt data written by encrypt()
+   * @param {Buffer} data - iv + authTag + ciphertext
+   * @returns {Buffer} Plaintext
+   * @private
+   */
+  decrypt(data) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.keyStore.getKey(), data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  /**
+   * Write a file via a temporary file and rename, readable by the owner only
+   * @param {string} filePath - Destination
+   * @param {string|Buffer} data - Content
+   * @private
+   */
+  writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, data, { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+ClipboardHistoryStore.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = ClipboardHistoryStore;
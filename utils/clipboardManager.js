@@ -1,24 +1,133 @@
-const { clipboard, nativeImage } = require('electron');
+const { app, clipboard, nativeImage } = require('electron');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const ClipboardHistoryStore = require('./clipboardHistoryStore');
+const ClipboardClassifier = require('./clipboardClassifier');
+const ClipboardTransforms = require('./clipboardTransforms');
+const ClipboardPoller = require('./clipboardPoller');
 
 /**
  * Clipboard Manager for comprehensive clipboard operations
  *
  * Features:
  * - Multi-format support (text, HTML, RTF, images)
- * - Clipboard history
+ * - Clipboard history, persisted across restarts (see clipboardHistoryStore.js)
  * - Format detection
- * - Clipboard monitoring
+ * - Clipboard monitoring across all formats, with content fingerprints
+ * - Adaptive, low-overhead polling that pauses while locked (see clipboardPoller.js)
+ * - Repeated copies bump the existing history entry instead of adding one
+ * - History search (fuzzy text, type, date range, source, tags), pinning and tagging
+ * - Sensitive content seen by the monitor is skipped, masked or expired
+ *   (see clipboardClassifier.js); monitored entries record the decision
+ * - Text transforms (see clipboardTransforms.js), recorded as derived history items
+ * - Paste stack: in collect mode every copy is queued, then loaded back one at a time
  */
 
+// Text formats, in fingerprint order
+const TEXT_FORMATS = ['text', 'html', 'rtf'];
+
+/**
+ * Fingerprint clipboard content across formats
+ * Images are hashed by bitmap, so a PNG round trip keeps the same fingerprint.
+ * @param {Object} formats - { text?, html?, rtf? }
+ * @param {Electron.NativeImage|null} image - Image, if any
+ * @returns {string} Hex SHA-256
+ */
+function fingerprint(formats, image) {
+  const hash = crypto.createHash('sha256');
+
+  TEXT_FORMATS.forEach(format => {
+    if (formats[format]) {
+      hash.update(`${format}:${formats[format].length}:`).update(formats[format]);
+    }
+  });
+
+  if (image && !image.isEmpty()) {
+    hash.update('image:').update(image.toBitmap());
+  }
+
+  return hash.digest('hex');
+}
+
+// A tick whose cheap probe is unchanged still does a full read this often (ms)
+const FULL_CHECK_INTERVAL = 5000;
+
+/**
+ * Score how well a query fuzzily matches a text
+ * A substring match beats a scattered one; closer characters score higher.
+ * @param {string} query - Lowercase query
+ * @param {string} text - Text to search
+ * @returns {number} Score above 0, or 0 if the query doesn't match
+ */
+function fuzzyScore(query, text) {
+  const haystack = text.toLowerCase();
+
+  const index = haystack.indexOf(query);
+  if (index !== -1) {
+    return 1000 - Math.min(index, 500);
+  }
+
+  // Every query character must appear in order
+  let score = 0;
+  let position = -1;
+  for (const char of query) {
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    score += position === -1 || next === position + 1 ? 10 : 1;
+    position = next;
+  }
+  return score;
+}
+
+/**
+ * Get the searchable text of a history item
+ * @param {Object} item - History item
+ * @returns {string} Text, HTML without tags, RTF and tags
+ */
+function itemSearchText(item) {
+  const formats = itemFormats(item);
+  const html = formats.html ? formats.html.replace(/<[^>]*>/g, ' ') : '';
+  return [formats.text, formats.text ? '' : html, formats.text ? '' : formats.rtf, ...(item.tags || [])]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Get the text formats of a history item
+ * @param {Object} item - History item
+ * @returns {Object} { text?, html?, rtf? }
+ */
+function itemFormats(item) {
+  if (TEXT_FORMATS.includes(item.type)) {
+    return { [item.type]: item.content };
+  }
+  return item.type === 'multiple' ? item.content : {};
+}
+
 class ClipboardManager extends EventEmitter {
   constructor() {
     super();
     this.history = [];
-    this.maxHistorySize = 10;
+    this.historyLoaded = false; // Loaded on first use, see loadHistory
+    this.historyStore = new ClipboardHistoryStore(app.getPath('userData'));
     this.monitoring = false;
-    this.monitorInterval = null;
-    this.lastClipboardContent = null;
+    this.lastClipboardHash = null;
+    this.lastProbe = null;
+    this.lastFullCheck = 0;
+    this.poller = new ClipboardPoller(() => this.pollClipboard());
+    this.poller.on('paused', reason => this.emit('monitoring-paused', reason));
+    this.poller.on('resumed', reason => this.emit('monitoring-resumed', reason));
+    this.classifier = new ClipboardClassifier();
+    this.transforms = new ClipboardTransforms();
+    this.sensitiveCounts = { skip: 0, mask: 0, ttl: 0 };
+    this.expiryTimer = null;
+    this.clearTimer = null;
+    this.pasteStack = {
+      collecting: false,
+      order: 'fifo',
+      items: [],
+      startedMonitoring: false // Collect mode started the monitor and stops it again
+    };
   }
 
   /**
@@ -110,7 +219,7 @@ class ClipboardManager extends EventEmitter {
     clipboard.writeImage(image);
     this.addToHistory({
       type: 'image',
-      content: dataURL,
+      image,
       size: image.getSize(),
       timestamp: Date.now()
     });
@@ -179,17 +288,19 @@ class ClipboardManager extends EventEmitter {
    * @param {Object} data - Data object with text, html, rtf, image
    */
   writeMultiple(data) {
-    if (data.text) clipboard.writeText(data.text);
-    if (data.html) clipboard.writeHTML(data.html);
-    if (data.rtf) clipboard.writeRTF(data.rtf);
-    if (data.image) {
-      const image = nativeImage.createFromDataURL(data.image);
-      clipboard.writeImage(image);
-    }
+    const content = {};
+    TEXT_FORMATS.forEach(format => {
+      if (data[format]) content[format] = data[format];
+    });
+    const image = data.image ? nativeImage.createFromDataURL(data.image) : null;
+
+    // A single write, so each format doesn't replace the previous one
+    clipboard.write(image ? { ...content, image } : content);
 
     this.addToHistory({
       type: 'multiple',
-      content: data,
+      content,
+      image,
       timestamp: Date.now()
     });
   }
@@ -204,26 +315,232 @@ class ClipboardManager extends EventEmitter {
 
   /**
    * Add item to history
+   * An `image` (NativeImage) on the item is moved to an image file.
+   * Content identical to an existing entry moves that entry to the top instead.
    * @param {Object} item - History item
+   * @returns {Object} Added or bumped entry
    */
   addToHistory(item) {
-    // Add timestamp and ID
+    this.loadHistory();
+
+    if (!item.hash) {
+      item.hash = fingerprint(itemFormats(item), item.image);
+    }
+
+    const existing = this.history.find(entry => entry.hash === item.hash);
+    if (existing) {
+      existing.timestamp = item.timestamp;
+      existing.copyCount = (existing.copyCount || 1) + 1;
+      if (item.expiresAt && !existing.pinned) {
+        existing.expiresAt = item.expiresAt;
+        this.scheduleExpiry();
+      }
+      this.history = [existing, ...this.history.filter(entry => entry !== existing)];
+      this.persistHistory();
+      this.emit('history-updated', this.history);
+      return existing;
+    }
+
+    // Add ID
     item.id = Date.now() + Math.random();
 
-    // Limit content size for history
-    if (item.type === 'text' && item.content.length > 1000) {
-      item.content = item.content.substring(0, 1000) + '...';
-      item.truncated = true;
+    // Images are kept as files, not as data URLs in the history
+    item.bytes = item.content === undefined ? 0 : Buffer.byteLength(JSON.stringify(item.content));
+    if (item.image) {
+      if (!item.image.isEmpty()) {
+        const { file, bytes } = this.historyStore.writeImage(item.image.toPNG());
+        item.imageFile = file;
+        item.bytes += bytes;
+      }
+      delete item.image;
     }
 
     this.history.unshift(item);
 
-    // Maintain max size
-    if (this.history.length > this.maxHistorySize) {
-      this.history = this.history.slice(0, this.maxHistorySize);
-    }
+    // Apply count, size and age retention
+    this.history = this.historyStore.applyRetention(this.history).kept;
+    this.persistHistory();
+    this.scheduleExpiry();
 
     this.emit('history-updated', this.history);
+    return item;
+  }
+
+  /**
+   * Remove expired entries when the next one expires
+   * @private
+   */
+  scheduleExpiry() {
+    if (this.expiryTimer) {
+      clearTimeout(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+
+    const next = Math.min(...this.history.filter(item => item.expiresAt).map(item => item.expiresAt));
+    if (next === Infinity) return;
+
+    this.expiryTimer = setTimeout(() => {
+      this.expiryTimer = null;
+      const { kept, removed } = this.historyStore.applyRetention(this.history);
+
+      if (removed.length > 0) {
+        this.history = kept;
+        this.persistHistory();
+        this.emit('history-updated', this.history);
+      }
+      this.scheduleExpiry();
+    }, Math.max(next - Date.now(), 0));
+
+    // Don't keep the process alive just for expiry
+    if (this.expiryTimer.unref) {
+      this.expiryTimer.unref();
+    }
+  }
+
+  /**
+   * Classify monitored content and apply the sensitive-content rules
+   * @param {Object} item - History item from snapshotToItem
+   * @param {Object} snapshot - Clipboard snapshot
+   * @returns {Object|null} Item to record, or null to skip it
+   * @private
+   */
+  applySensitivity(item, snapshot) {
+    const decision = this.classifier.classifyFormats(snapshot.formats);
+    item.sensitivity = { action: decision.action, rules: decision.rules };
+
+    if (decision.action === 'allow') return item;
+
+    this.sensitiveCounts[decision.action]++;
+    this.emit('sensitive-content', { action: decision.action, rules: decision.rules });
+    this.scheduleClipboardClear(snapshot.hash);
+
+    switch (decision.action) {
+      case 'skip':
+        return null;
+      case 'mask': {
+        const masked = this.classifier.maskFormats(snapshot.formats, decision);
+        item.content = item.type === 'multiple' ? masked : masked[item.type];
+        // Fingerprint the masked content, never the secret itself
+        delete item.hash;
+        // Rules asking for expiry still apply to what's left
+        if (decision.actions.includes('ttl')) {
+          item.expiresAt = item.timestamp + this.classifier.getSettings().ttlSeconds * 1000;
+        }
+        break;
+      }
+      case 'ttl':
+        item.expiresAt = item.timestamp + this.classifier.getSettings().ttlSeconds * 1000;
+        break;
+    }
+
+    return item;
+  }
+
+  /**
+   * Clear the clipboard after clearAfterSeconds if it still holds the content
+   * @param {string} hash - Fingerprint of the sensitive content
+   * @private
+   */
+  scheduleClipboardClear(hash) {
+    const { clearAfterSeconds } = this.classifier.getSettings();
+    if (!clearAfterSeconds) return;
+
+    if (this.clearTimer) {
+      clearTimeout(this.clearTimer);
+    }
+
+    this.clearTimer = setTimeout(() => {
+      this.clearTimer = null;
+      // Something else may have been copied meanwhile
+      if (this.readSnapshot().hash === hash) {
+        this.clear();
+      }
+    }, clearAfterSeconds * 1000);
+
+    if (this.clearTimer.unref) {
+      this.clearTimer.unref();
+    }
+  }
+
+  /**
+   * Configure sensitive-content detection
+   * @param {Object} settings - { enabled, ttlSeconds, clearAfterSeconds, rules: { name: { enabled, action } } }
+   * @returns {Object} Effective settings
+   */
+  configureSensitivity(settings) {
+    return this.classifier.configure(settings);
+  }
+
+  /**
+   * Load the persisted history (once)
+   * @private
+   */
+  loadHistory() {
+    if (this.historyLoaded) return;
+    this.historyLoaded = true;
+
+    try {
+      const entries = this.historyStore.getSettings().persist ? this.historyStore.load() : [];
+      const { kept, removed } = this.historyStore.applyRetention(entries);
+
+      this.history = kept;
+      this.historyStore.removeOrphanImages(kept);
+      this.scheduleExpiry();
+
+      // Encryption may have been switched since the history was saved
+      const recoded = this.historyStore.recodeImages(kept);
+
+      if (removed.length > 0 || recoded > 0 || this.historyStore.needsRewrite()) {
+        this.persistHistory();
+      }
+    } catch (error) {
+      console.error('Error loading clipboard history:', error);
+    }
+  }
+
+  /**
+   * Write the history to disk, or remove the file if persistence is off
+   * @private
+   */
+  persistHistory() {
+    try {
+      if (this.historyStore.getSettings().persist) {
+        this.historyStore.save(this.history);
+      } else {
+        this.historyStore.removeFile();
+      }
+    } catch (error) {
+      console.error('Error saving clipboard history:', error);
+    }
+  }
+
+  /**
+   * Configure history persistence and retention
+   * @param {Object} settings - { persist, encrypt, maxCount, maxBytes, maxAgeDays }
+   * @returns {Object} Effective settings
+   */
+  configureHistory(settings) {
+    const previous = this.historyStore.getSettings();
+    const effective = this.historyStore.configure(settings);
+
+    // Not loaded yet: retention and encryption are applied on load
+    if (!this.historyLoaded) {
+      if (!effective.persist) this.persistHistory();
+      return effective;
+    }
+
+    if (effective.encrypt !== previous.encrypt) {
+      this.historyStore.recodeImages(this.history);
+    }
+
+    const { removed } = this.historyStore.applyRetention(this.history);
+    if (removed.length > 0) {
+      this.history = this.history.filter(item => !removed.includes(item));
+      this.emit('history-updated', this.history);
+    }
+
+    this.persistHistory();
+    return effective;
   }
 
   /**
@@ -232,14 +549,225 @@ class ClipboardManager extends EventEmitter {
    * @returns {Array} History items
    */
   getHistory(limit = 10) {
+    this.loadHistory();
     return this.history.slice(0, limit);
   }
 
   /**
-   * Clear clipboard history
+   * Get the image of a history item
+   * @param {number} id - History item ID
+   * @returns {string|null} Image data URL, or null if the item has no image
    */
-  clearHistory() {
-    this.history = [];
+  getHistoryImage(id) {
+    this.loadHistory();
+
+    const item = this.history.find(h => h.id === id);
+    if (!item || !item.imageFile) return null;
+
+    const png = this.historyStore.readImage(item.imageFile);
+    return png ? nativeImage.createFromBuffer(png).toDataURL() : null;
+  }
+
+  /**
+   * Search the history
+   * @param {Object} query - Query
+   * @param {string} [query.text] - Fuzzy text, matched against content and tags
+   * @param {Array<string>} [query.types] - Types to include (text, html, rtf, image, multiple)
+   * @param {number|string} [query.from] - Oldest timestamp (ms or ISO date)
+   * @param {number|string} [query.to] - Newest timestamp (ms or ISO date)
+   * @param {string} [query.source] - 'monitor' or 'manual'
+   * @param {Array<string>} [query.tags] - Tags that must all be present
+   * @param {boolean} [query.pinned] - Only pinned (true) or unpinned (false) entries
+   * @param {number} [query.limit=50] - Max items to return
+   * @param {number} [query.offset=0] - Items to skip, for paging
+   * @returns {Object} { items, total } with the best matches first when searching text
+   */
+  search(query = {}) {
+    this.loadHistory();
+
+    const text = typeof query.text === 'string' ? query.text.trim().toLowerCase() : '';
+    const from = query.from !== undefined ? new Date(query.from).getTime() : -Infinity;
+    const to = query.to !== undefined ? new Date(query.to).getTime() : Infinity;
+    const limit = query.limit !== undefined ? query.limit : 50;
+    const offset = query.offset || 0;
+
+    const matches = [];
+
+    this.history.forEach(item => {
+      if (query.types && query.types.length > 0) {
+        // A multi-format entry matches each of its formats
+        const types = item.type === 'multiple'
+          ? ['multiple', ...Object.keys(itemFormats(item)), ...(item.imageFile ? ['image'] : [])]
+          : [item.type];
+        if (!query.types.some(type => types.includes(type))) return;
+      }
+
+      if (item.timestamp < from || item.timestamp > to) return;
+      if (query.source === 'monitor' && !item.fromMonitor) return;
+      if (query.source === 'manual' && item.fromMonitor) return;
+      if (query.pinned !== undefined && Boolean(item.pinned) !== query.pinned) return;
+
+      if (query.tags && query.tags.length > 0) {
+        const tags = item.tags || [];
+        if (!query.tags.every(tag => tags.includes(tag))) return;
+      }
+
+      const score = text ? fuzzyScore(text, itemSearchText(item)) : 0;
+      if (text && score === 0) return;
+
+      matches.push({ item, score });
+    });
+
+    // History order is newest first; stable sort keeps it among equal scores
+    if (text) {
+      matches.sort((a, b) => b.score - a.score);
+    }
+
+    return {
+      items: matches.slice(offset, offset + limit).map(match => match.item),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Pin or unpin a history item
+   * Pinned items survive retention and clearHistory, and no longer expire.
+   * @param {number} id - History item ID
+   * @param {boolean} [pinned=true] - Pin state
+   * @returns {Object} Updated item
+   */
+  pin(id, pinned = true) {
+    const item = this.getHistoryItem(id);
+    item.pinned = Boolean(pinned);
+
+    if (item.pinned && item.expiresAt) {
+      delete item.expiresAt;
+      this.scheduleExpiry();
+    }
+
+    if (!item.pinned) {
+      // Unpinning may put the history over its limits
+      this.history = this.historyStore.applyRetention(this.history).kept;
+    }
+
+    this.persistHistory();
+    this.emit('history-updated', this.history);
+    return item;
+  }
+
+  /**
+   * Set the tags of a history item
+   * @param {number} id - History item ID
+   * @param {Array<string>} tags - Tags, replacing the current ones
+   * @returns {Object} Updated item
+   */
+  tag(id, tags) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    const item = this.getHistoryItem(id);
+    const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+
+    if (normalized.length > 0) {
+      item.tags = normalized;
+    } else {
+      delete item.tags;
+    }
+
+    this.persistHistory();
+    this.emit('history-updated', this.history);
+    return item;
+  }
+
+  /**
+   * Transform text from the clipboard or a history item and write the result back
+   * The result is recorded as a history item derived from its source.
+   * @param {string|Array<string>} names - Transform name(s), run as a pipeline
+   * @param {Object} options - Options
+   * @param {number} [options.historyId] - Transform this history item instead of the clipboard
+   * @returns {Object} { result, item }
+   * @throws {Error} For unknown transforms, missing text or input a transform rejects
+   */
+  transform(names, options = {}) {
+    const { historyId, ...transformOptions } = options;
+    const pipeline = this.transforms.resolve(names);
+    const input = this.transforms.getInput(pipeline);
+
+    let source;
+    let sourceId = null;
+
+    if (historyId !== undefined && historyId !== null) {
+      const sourceItem = this.getHistoryItem(historyId);
+      const formats = itemFormats(sourceItem);
+      source = formats[input] || formats.text;
+      sourceId = sourceItem.id;
+    } else {
+      source = (input === 'html' && clipboard.readHTML()) || clipboard.readText();
+    }
+
+    if (!source) {
+      throw new Error(sourceId !== null ? 'History item has no text' : 'Clipboard has no text');
+    }
+
+    const result = this.transforms.apply(pipeline, source, transformOptions);
+    clipboard.writeText(result);
+
+    const item = this.addToHistory({
+      type: 'text',
+      content: result,
+      timestamp: Date.now(),
+      derivedFrom: { id: sourceId, transforms: pipeline }
+    });
+
+    this.emit('clipboard-transformed', { transforms: pipeline, item });
+    return { result, item };
+  }
+
+  /**
+   * Get a history item, throwing if it doesn't exist
+   * @param {number} id - History item ID
+   * @returns {Object} History item
+   * @private
+   */
+  getHistoryItem(id) {
+    this.loadHistory();
+
+    const item = this.history.find(h => h.id === id);
+    if (!item) {
+      throw new Error(`No clipboard history item with ID ${id}`);
+    }
+    return item;
+  }
+
+  /**
+   * Clear clipboard history, including the persisted file and images
+   * @param {Object} options - Options
+   * @param {boolean} [options.keepPinned=true] - Keep pinned items
+   */
+  clearHistory(options = {}) {
+    const keepPinned = options.keepPinned !== false;
+    this.loadHistory();
+
+    const pinned = keepPinned ? this.history.filter(item => item.pinned) : [];
+
+    try {
+      if (pinned.length > 0) {
+        this.history
+          .filter(item => !item.pinned && item.imageFile)
+          .forEach(item => this.historyStore.deleteImage(item.imageFile));
+      } else {
+        this.historyStore.clear();
+      }
+    } catch (error) {
+      console.error('Error deleting clipboard history:', error);
+    }
+
+    this.history = pinned;
+    if (pinned.length > 0) {
+      this.persistHistory();
+    }
+
     this.emit('history-cleared');
   }
 
@@ -249,6 +777,8 @@ class ClipboardManager extends EventEmitter {
    * @returns {boolean} Success status
    */
   restoreFromHistory(id) {
+    this.loadHistory();
+
     const item = this.history.find(h => h.id === id);
     if (!item) return false;
 
@@ -262,46 +792,164 @@ class ClipboardManager extends EventEmitter {
       case 'rtf':
         clipboard.writeRTF(item.content);
         break;
-      case 'image':
-        const image = nativeImage.createFromDataURL(item.content);
-        clipboard.writeImage(image);
+      case 'image': {
+        const png = this.historyStore.readImage(item.imageFile);
+        if (!png) return false;
+        clipboard.writeImage(nativeImage.createFromBuffer(png));
         break;
-      case 'multiple':
-        this.writeMultiple(item.content);
+      }
+      case 'multiple': {
+        const image = item.imageFile ? this.getHistoryImage(id) : null;
+        this.writeMultiple(image ? { ...item.content, image } : item.content);
         break;
+      }
     }
 
     this.emit('history-restored', item);
     return true;
   }
 
+  /**
+   * Read every format on the clipboard and fingerprint it
+   * @returns {Object} { formats: { text?, html?, rtf? }, image, hash }
+   * @private
+   */
+  readSnapshot() {
+    const formats = {};
+
+    const text = clipboard.readText();
+    if (text) formats.text = text;
+
+    const html = clipboard.readHTML();
+    if (html) formats.html = html;
+
+    const rtf = clipboard.readRTF();
+    if (rtf) formats.rtf = rtf;
+
+    const clipboardImage = clipboard.readImage();
+    const image = clipboardImage.isEmpty() ? null : clipboardImage;
+
+    return { formats, image, hash: fingerprint(formats, image) };
+  }
+
+  /**
+   * Build a history item from a clipboard snapshot
+   * @param {Object} snapshot - Result of readSnapshot
+   * @returns {Object|null} History item, or null if the clipboard is empty
+   * @private
+   */
+  snapshotToItem(snapshot) {
+    const names = Object.keys(snapshot.formats);
+    const count = names.length + (snapshot.image ? 1 : 0);
+    const item = { hash: snapshot.hash, timestamp: Date.now(), fromMonitor: true };
+
+    if (count === 0) return null;
+
+    if (count > 1) {
+      return { ...item, type: 'multiple', content: snapshot.formats, image: snapshot.image };
+    }
+
+    if (snapshot.image) {
+      return { ...item, type: 'image', image: snapshot.image, size: snapshot.image.getSize() };
+    }
+
+    return { ...item, type: names[0], content: snapshot.formats[names[0]] };
+  }
+
+  /**
+   * Get the text to report for monitored content
+   * @param {Object|null} item - Item returned by applySensitivity (null if skipped)
+   * @param {Object} snapshot - Clipboard snapshot
+   * @returns {string} Clipboard text, masked if needed; empty if skipped
+   * @private
+   */
+  monitoredText(item, snapshot) {
+    if (!item) return '';
+    if (item.sensitivity.action !== 'mask') return snapshot.formats.text || '';
+    if (item.type === 'multiple') return item.content.text || '';
+    return item.type === 'text' ? item.content : '';
+  }
+
+  /**
+   * Cheap look at the clipboard: the format list, the plain text and the
+   * image size, without reading HTML, RTF or pixels
+   * @returns {Object} { formats, text, imageSize }
+   * @private
+   */
+  probeClipboard() {
+    const formats = clipboard.availableFormats();
+    let imageSize = '';
+
+    if (formats.some(format => format.startsWith('image/'))) {
+      const { width, height } = clipboard.readImage().getSize();
+      imageSize = `${width}x${height}`;
+    }
+
+    return { formats: formats.join(','), text: clipboard.readText(), imageSize };
+  }
+
+  /**
+   * Check the clipboard for changes (one monitor tick)
+   * The full snapshot and its hash are only taken when the probe changes, or
+   * every FULL_CHECK_INTERVAL otherwise: a copy that changes only the HTML or
+   * RTF styling, or an image of the same size, is picked up by that periodic
+   * check rather than on the next tick.
+   * @returns {string} 'skipped', 'unchanged' or 'changed'
+   * @private
+   */
+  pollClipboard() {
+    const probe = this.probeClipboard();
+    const last = this.lastProbe;
+    this.lastProbe = probe;
+
+    const probeChanged = !last ||
+      ['formats', 'text', 'imageSize'].some(field => probe[field] !== last[field]);
+
+    if (!probeChanged && Date.now() - this.lastFullCheck < FULL_CHECK_INTERVAL) return 'skipped';
+
+    this.lastFullCheck = Date.now();
+    const snapshot = this.readSnapshot();
+    if (snapshot.hash === this.lastClipboardHash) return 'unchanged';
+
+    this.lastClipboardHash = snapshot.hash;
+
+    // Auto-add to history, unless the classifier says otherwise
+    const candidate = this.snapshotToItem(snapshot);
+    const item = candidate && this.applySensitivity(candidate, snapshot);
+
+    // Listeners only see what the classifier lets through
+    this.emit('clipboard-changed', this.monitoredText(item, snapshot), {
+      formats: Object.keys(snapshot.formats).concat(snapshot.image ? ['image'] : []),
+      hash: snapshot.hash,
+      sensitivity: candidate ? candidate.sensitivity : { action: 'allow', rules: [] }
+    });
+
+    if (item) {
+      this.addToHistory(item);
+    }
+
+    // Collect mode queues the original content, except what the classifier skips or masks
+    if (this.pasteStack.collecting && candidate && !['skip', 'mask'].includes(candidate.sensitivity.action)) {
+      this.pushToStack(snapshot);
+    }
+
+    return 'changed';
+  }
+
   /**
    * Start monitoring clipboard changes
-   * @param {number} interval - Check interval in ms (default: 1000)
+   * Any format counts: text, HTML, RTF or image. Polling adapts to activity:
+   * faster after user input, slower while nothing changes, paused while locked.
+   * @param {number} interval - Base check interval in ms (default: 1000)
    */
   startMonitoring(interval = 1000) {
     if (this.monitoring) return;
 
     this.monitoring = true;
-    this.lastClipboardContent = this.readText();
-
-    this.monitorInterval = setInterval(() => {
-      const currentContent = this.readText();
-      if (currentContent !== this.lastClipboardContent) {
-        this.lastClipboardContent = currentContent;
-        this.emit('clipboard-changed', currentContent);
-
-        // Auto-add to history
-        if (currentContent && currentContent.length > 0) {
-          this.addToHistory({
-            type: 'text',
-            content: currentContent,
-            timestamp: Date.now(),
-            fromMonitor: true
-          });
-        }
-      }
-    }, interval);
+    this.lastClipboardHash = this.readSnapshot().hash;
+    this.lastProbe = this.probeClipboard();
+    this.lastFullCheck = Date.now();
+    this.poller.start(interval);
 
     this.emit('monitoring-started');
   }
@@ -312,13 +960,16 @@ class ClipboardManager extends EventEmitter {
   stopMonitoring() {
     if (!this.monitoring) return;
 
-    if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
-      this.monitorInterval = null;
-    }
-
+    this.poller.stop();
     this.monitoring = false;
     this.emit('monitoring-stopped');
+
+    // Collect mode can't work without the monitor
+    if (this.pasteStack.collecting) {
+      this.pasteStack.collecting = false;
+      this.pasteStack.startedMonitoring = false;
+      this.emitStackChanged();
+    }
   }
 
   /**
@@ -329,14 +980,226 @@ class ClipboardManager extends EventEmitter {
     return this.monitoring;
   }
 
+  /**
+   * Start collect mode: every copy is pushed onto the paste stack
+   * Starts the monitor if it isn't running.
+   * @param {Object} options - Options
+   * @param {string} [options.order] - 'fifo' (first copied, first loaded) or 'lifo'
+   * @param {boolean} [options.clear=false] - Empty the stack first
+   * @returns {Object} Paste stack state
+   */
+  startCollecting(options = {}) {
+    if (options.order !== undefined) {
+      this.setStackOrder(options.order);
+    }
+    if (options.clear) {
+      this.pasteStack.items = [];
+    }
+
+    if (!this.pasteStack.collecting) {
+      this.pasteStack.collecting = true;
+
+      if (!this.monitoring) {
+        this.startMonitoring();
+        this.pasteStack.startedMonitoring = true;
+      }
+    }
+
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Stop collect mode; queued items stay on the stack
+   * @returns {Object} Paste stack state
+   */
+  stopCollecting() {
+    this.pasteStack.collecting = false;
+
+    if (this.pasteStack.startedMonitoring) {
+      this.pasteStack.startedMonitoring = false;
+      this.stopMonitoring();
+    }
+
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Set the order items are loaded in
+   * @param {string} order - 'fifo' or 'lifo'
+   * @returns {Object} Paste stack state
+   */
+  setStackOrder(order) {
+    if (!['fifo', 'lifo'].includes(order)) {
+      throw new Error(`Invalid paste stack order: ${order} (expected fifo or lifo)`);
+    }
+
+    this.pasteStack.order = order;
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Queue a clipboard snapshot
+   * @param {Object} snapshot - Result of readSnapshot
+   * @private
+   */
+  pushToStack(snapshot) {
+    this.pasteStack.items.push({
+      id: Date.now() + Math.random(),
+      formats: snapshot.formats,
+      image: snapshot.image,
+      timestamp: Date.now()
+    });
+    this.emitStackChanged();
+  }
+
+  /**
+   * Load the next item into the clipboard and remove it from the stack
+   * @returns {Object|null} { item, remaining }, or null if the stack is empty
+   */
+  loadNextFromStack() {
+    const { items, order } = this.pasteStack;
+    if (items.length === 0) return null;
+
+    const item = order === 'lifo' ? items.pop() : items.shift();
+    clipboard.write(item.image ? { ...item.formats, image: item.image } : item.formats);
+
+    // Don't collect the item again when the monitor sees it
+    if (this.monitoring) {
+      this.lastClipboardHash = this.readSnapshot().hash;
+    }
+
+    this.emitStackChanged();
+    return { item: this.describeStackItem(item), remaining: items.length };
+  }
+
+  /**
+   * Replace the text of a queued item
+   * Other formats are dropped, since they would no longer match.
+   * @param {number} id - Stack item ID
+   * @param {string} text - New text
+   * @returns {Object} Paste stack state
+   */
+  updateStackItem(id, text) {
+    if (typeof text !== 'string') {
+      throw new Error('Text must be a string');
+    }
+
+    const item = this.getStackItem(id);
+    item.formats = { text };
+    item.image = null;
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Remove a queued item
+   * @param {number} id - Stack item ID
+   * @returns {Object} Paste stack state
+   */
+  removeFromStack(id) {
+    const item = this.getStackItem(id);
+    this.pasteStack.items = this.pasteStack.items.filter(entry => entry !== item);
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Move a queued item
+   * @param {number} id - Stack item ID
+   * @param {number} index - New position, in copy order
+   * @returns {Object} Paste stack state
+   */
+  moveInStack(id, index) {
+    const item = this.getStackItem(id);
+    const others = this.pasteStack.items.filter(entry => entry !== item);
+    const position = Math.max(0, Math.min(Number(index) || 0, others.length));
+
+    others.splice(position, 0, item);
+    this.pasteStack.items = others;
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Empty the paste stack
+   * @returns {Object} Paste stack state
+   */
+  clearStack() {
+    this.pasteStack.items = [];
+    return this.emitStackChanged();
+  }
+
+  /**
+   * Get the paste stack
+   * @returns {Object} { collecting, order, items, next } with items in copy order
+   */
+  getPasteStack() {
+    const { collecting, order, items } = this.pasteStack;
+    const next = order === 'lifo' ? items[items.length - 1] : items[0];
+
+    return {
+      collecting,
+      order,
+      items: items.map(item => this.describeStackItem(item)),
+      next: next ? next.id : null
+    };
+  }
+
+  /**
+   * Get a queued item, throwing if it doesn't exist
+   * @param {number} id - Stack item ID
+   * @returns {Object} Stack item
+   * @private
+   */
+  getStackItem(id) {
+    const item = this.pasteStack.items.find(entry => entry.id === id);
+    if (!item) {
+      throw new Error(`No paste stack item with ID ${id}`);
+    }
+    return item;
+  }
+
+  /**
+   * Describe a queued item for the renderer
+   * @param {Object} item - Stack item
+   * @returns {Object} { id, timestamp, formats, text, hasImage }
+   * @private
+   */
+  describeStackItem(item) {
+    return {
+      id: item.id,
+      timestamp: item.timestamp,
+      formats: Object.keys(item.formats).concat(item.image ? ['image'] : []),
+      text: item.formats.text || (item.formats.html || '').replace(/<[^>]*>/g, '') || '',
+      hasImage: Boolean(item.image)
+    };
+  }
+
+  /**
+   * Notify listeners of a paste stack change
+   * @returns {Object} Paste stack state
+   * @private
+   */
+  emitStackChanged() {
+    const state = this.getPasteStack();
+    this.emit('paste-stack-changed', state);
+    return state;
+  }
+
   /**
    * Get clipboard statistics
    * @returns {Object} Statistics
    */
   getStats() {
+    this.loadHistory();
+
     return {
       historySize: this.history.length,
+      historyBytes: this.history.reduce((sum, item) => sum + (item.bytes || 0), 0),
+      historySettings: this.historyStore.getSettings(),
+      historyFile: this.historyStore.getInfo(),
+      sensitive: { ...this.sensitiveCounts },
+      sensitivitySettings: this.classifier.getSettings(),
       monitoring: this.monitoring,
+      polling: this.poller.getStats(),
+      pasteStack: { collecting: this.pasteStack.collecting, order: this.pasteStack.order, size: this.pasteStack.items.length },
       currentFormats: this.availableFormats(),
       hasContent: this.readText().length > 0 || !clipboard.readImage().isEmpty()
     };
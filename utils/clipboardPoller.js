@@ -0,0 +1,291 @@
+const { powerMonitor } = require('electron');
+const EventEmitter = require('events');
+
+/**
+ * Clipboard Poller
+ *
+ * Adaptive timer behind ClipboardManager's monitor. Operating systems don't
+ * notify apps of clipboard changes, so the clipboard is polled; this keeps
+ * the polling cheap.
+ *
+ * Features:
+ * - Polls at the base interval, faster (minInterval) right after user input
+ * - Backs off towards maxInterval while the clipboard stays unchanged
+ * - Pauses while the screen is locked or the system is suspended (powerMonitor)
+ * - Measures the CPU time spent polling
+ *
+ * The check function returns 'skipped' (cheap probe saw no change),
+ * 'unchanged' (full read, same content) or 'changed'.
+ *
+ * States reported by getStats: 'active', 'fast', 'backoff', 'paused', 'stopped'.
+ * Events: 'paused' (reason), 'resumed' (reason)
+ */
+
+// Intervals in ms; activitySeconds is how recent input must be to poll fast
+const DEFAULT_SETTINGS = {
+  minInterval: 250,
+  maxInterval: 5000,
+  backoffAfter: 10000,
+  backoffFactor: 1.5,
+  activitySeconds: 2
+};
+
+// powerMonitor events that pause and resume polling
+const PAUSE_EVENTS = { 'lock-screen': 'locked', suspend: 'suspended' };
+const RESUME_EVENTS = { 'unlock-screen': 'locked', resume: 'suspended' };
+
+class ClipboardPoller extends EventEmitter {
+  /**
+   * @param {Function} check - Called on every tick, see above
+   * @param {Object} settings - Settings, see DEFAULT_SETTINGS
+   */
+  constructor(check, settings = {}) {
+    super();
+    this.check = check;
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.running = false;
+    this.timer = null;
+    this.interval = 1000; // Base interval
+    this.delay = 1000; // Delay before the next tick
+    this.pausedBy = new Set();
+    this.powerListeners = [];
+    this.resetStats();
+  }
+
+  /**
+   * Start polling
+   * @param {number} interval - Base interval in ms
+   */
+  start(interval = 1000) {
+    if (this.running) return;
+
+    this.running = true;
+    this.interval = interval;
+    this.delay = interval;
+    this.lastChange = Date.now();
+    this.resetStats();
+    this.attachPowerMonitor();
+    this.schedule();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pausedBy.clear();
+    this.detachPowerMonitor();
+  }
+
+  /**
+   * Pause polling until resume() is called with the same reason
+   * @param {string} reason - e.g. 'locked', 'suspended'
+   */
+  pause(reason) {
+    if (!this.running || this.pausedBy.has(reason)) return;
+
+    this.pausedBy.add(reason);
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emit('paused', reason);
+  }
+
+  /**
+   * Resume polling paused for a reason
+   * @param {string} reason - Reason given to pause()
+   */
+  resume(reason) {
+    if (!this.pausedBy.delete(reason)) return;
+
+    this.emit('resumed', reason);
+    if (this.running && this.pausedBy.size === 0) {
+      // Anything copied before the lock is picked up right away
+      this.delay = this.interval;
+      this.lastChange = Date.now();
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Run one check and schedule the next one
+   * @private
+   */
+  tick() {
+    this.timer = null;
+
+    // Linux doesn't emit lock-screen everywhere; fall back to the idle state
+    if (this.getIdleState() === 'locked') {
+      this.stats.lockedTicks++;
+      this.schedule(this.settings.maxInterval);
+      return;
+    }
+
+    const cpuStart = process.cpuUsage();
+    const start = process.hrtime.bigint();
+
+    let result = 'unchanged';
+    try {
+      result = this.check();
+    } catch (error) {
+      console.error('Clipboard check failed:', error);
+    }
+
+    const cpu = process.cpuUsage(cpuStart);
+    this.stats.cpuMicros += cpu.user + cpu.system;
+    this.stats.tickNanos += Number(process.hrtime.bigint() - start);
+    this.stats.ticks++;
+    this.stats[result] = (this.stats[result] || 0) + 1;
+
+    if (result === 'changed') {
+      this.lastChange = Date.now();
+    }
+
+    this.schedule(this.nextDelay());
+  }
+
+  /**
+   * Work out the delay before the next tick
+   * @returns {number} Delay in ms
+   * @private
+   */
+  nextDelay() {
+    const { minInterval, maxInterval, backoffAfter, backoffFactor, activitySeconds } = this.settings;
+
+    if (this.getIdleTime() < activitySeconds) {
+      // Right after input a copy is likely
+      this.delay = Math.min(minInterval, this.interval);
+    } else if (Date.now() - this.lastChange < backoffAfter) {
+      this.delay = this.interval;
+    } else {
+      this.delay = Math.min(Math.max(this.delay, this.interval) * backoffFactor, Math.max(maxInterval, this.interval));
+    }
+
+    return this.delay;
+  }
+
+  /**
+   * Schedule the next tick
+   * @param {number} [delay] - Delay in ms (current delay if omitted)
+   * @private
+   */
+  schedule(delay = this.delay) {
+    if (!this.running || this.pausedBy.size > 0) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Get seconds since the last user input
+   * @returns {number} Idle time, 0 if unknown
+   * @private
+   */
+  getIdleTime() {
+    try {
+      return powerMonitor.getSystemIdleTime();
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Get the system idle state
+   * @returns {string} 'active', 'idle', 'locked' or 'unknown'
+   * @private
+   */
+  getIdleState() {
+    try {
+      return powerMonitor.getSystemIdleState(this.settings.activitySeconds);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Listen for lock and suspend events
+   * @private
+   */
+  attachPowerMonitor() {
+    const events = [
+      ...Object.entries(PAUSE_EVENTS).map(([event, reason]) => [event, () => this.pause(reason)]),
+      ...Object.entries(RESUME_EVENTS).map(([event, reason]) => [event, () => this.resume(reason)])
+    ];
+
+    try {
+      events.forEach(([event, listener]) => {
+        powerMonitor.on(event, listener);
+        this.powerListeners.push([event, listener]);
+      });
+    } catch (error) {
+      // powerMonitor is only usable once the app is ready
+      console.error('Clipboard polling runs without lock/suspend detection:', error.message);
+    }
+  }
+
+  /**
+   * Remove lock and suspend listeners
+   * @private
+   */
+  detachPowerMonitor() {
+    this.powerListeners.forEach(([event, listener]) => powerMonitor.removeListener(event, listener));
+    this.powerListeners = [];
+  }
+
+  /**
+   * Reset counters
+   * @private
+   */
+  resetStats() {
+    this.startedAt = Date.now();
+    this.stats = {
+      ticks: 0,
+      skipped: 0,
+      unchanged: 0,
+      changed: 0,
+      lockedTicks: 0,
+      cpuMicros: 0,
+      tickNanos: 0
+    };
+  }
+
+  /**
+   * Get polling statistics
+   * @returns {Object} State, current rate and CPU cost
+   */
+  getStats() {
+    const elapsed = Math.max(Date.now() - this.startedAt, 1);
+    const { ticks, skipped, unchanged, changed, lockedTicks, cpuMicros, tickNanos } = this.stats;
+    let state = 'stopped';
+
+    if (this.running && this.pausedBy.size > 0) {
+      state = 'paused';
+    } else if (this.running) {
+      state = this.delay > this.interval ? 'backoff' : this.delay < this.interval ? 'fast' : 'active';
+    }
+
+    return {
+      state,
+      pausedBy: Array.from(this.pausedBy),
+      baseInterval: this.interval,
+      currentInterval: this.running ? this.delay : null,
+      pollsPerMinute: this.running && this.pausedBy.size === 0 ? Math.round(60000 / this.delay) : 0,
+      ticks,
+      fullReads: unchanged + changed,
+      skippedByProbe: skipped,
+      changes: changed,
+      lockedTicks,
+      cpuTimeMs: Math.round(cpuMicros / 1000),
+      avgTickMs: ticks > 0 ? Number((tickNanos / ticks / 1e6).toFixed(3)) : 0,
+      cpuPercent: this.running ? Number((cpuMicros / 1000 / elapsed * 100).toFixed(3)) : 0,
+      settings: { ...this.settings }
+    };
+  }
+}
+
+ClipboardPoller.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = ClipboardPoller;
@@ -0,0 +1,247 @@
+/**
+ * Clipboard Transforms
+ *
+ * Registry of text transforms applied to clipboard content by
+ * ClipboardManager.transform. Transforms compose: a list of names runs as a
+ * pipeline, each one receiving the previous result.
+ *
+ * A transform is { description, input?, fn(text, options) => string }.
+ * `input: 'html'` makes it read the HTML format when it runs first.
+ * Transforms throw on input they can't handle (e.g. invalid JSON).
+ */
+
+/**
+ * Split text into words for case changes
+ * @param {string} text - Text
+ * @returns {Array<string>} Lowercase words
+ */
+function words(text) {
+  return text
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+/**
+ * Split text into lines
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function lines(text) {
+  return text.split(/\r?\n/);
+}
+
+/**
+ * Decode the common HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    }
+    return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+  });
+}
+
+const BUILT_IN_TRANSFORMS = {
+  trim: {
+    description: 'Trim surrounding blank lines and trailing whitespace',
+    fn: text => lines(text).map(line => line.replace(/\s+$/, '')).join('\n').trim()
+  },
+  dedent: {
+    description: 'Remove common leading indentation',
+    fn: text => {
+      const all = lines(text);
+      const indents = all.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+      const common = indents.length > 0 ? Math.min(...indents) : 0;
+      return all.map(line => line.slice(Math.min(common, line.match(/^[ \t]*/)[0].length))).join('\n');
+    }
+  },
+  upperCase: {
+    description: 'UPPER CASE',
+    fn: text => text.toUpperCase()
+  },
+  lowerCase: {
+    description: 'lower case',
+    fn: text => text.toLowerCase()
+  },
+  titleCase: {
+    description: 'Title Case',
+    fn: text => text.toLowerCase().replace(/(^|[\s\-_(["'])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+  },
+  camelCase: {
+    description: 'camelCase',
+    fn: text => words(text).map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('')
+  },
+  snakeCase: {
+    description: 'snake_case',
+    fn: text => words(text).join('_')
+  },
+  kebabCase: {
+    description: 'kebab-case',
+    fn: text => words(text).join('-')
+  },
+  jsonPretty: {
+    description: 'Pretty-print JSON (options.indent, default 2)',
+    fn: (text, options) => JSON.stringify(JSON.parse(text), null, options.indent || 2)
+  },
+  jsonMinify: {
+    description: 'Minify JSON',
+    fn: text => JSON.stringify(JSON.parse(text))
+  },
+  base64Encode: {
+    description: 'Base64-encode (UTF-8)',
+    fn: text => Buffer.from(text, 'utf8').toString('base64')
+  },
+  base64Decode: {
+    description: 'Base64-decode (UTF-8)',
+    fn: text => {
+      const compact = text.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(compact)) {
+        throw new Error('Not valid Base64');
+      }
+      return Buffer.from(compact, 'base64').toString('utf8');
+    }
+  },
+  urlEncode: {
+    description: 'URL-encode (component)',
+    fn: text => encodeURIComponent(text)
+  },
+  urlDecode: {
+    description: 'URL-decode (component)',
+    fn: text => decodeURIComponent(text.replace(/\+/g, ' '))
+  },
+  htmlToText: {
+    description: 'Convert HTML to plain text',
+    input: 'html',
+    fn: html => decodeEntities(
+      html
+        .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|pre)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<[^>]+>/g, '')
+    )
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  },
+  sortLines: {
+    description: 'Sort lines (options.reverse, options.ignoreCase)',
+    fn: (text, options) => {
+      const compare = options.ignoreCase
+        ? (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })
+        : (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+      const sorted = lines(text).sort(compare);
+      return (options.reverse ? sorted.reverse() : sorted).join('\n');
+    }
+  },
+  uniqueLines: {
+    description: 'Remove duplicate lines, keeping the first',
+    fn: text => [...new Set(lines(text))].join('\n')
+  },
+  slugify: {
+    description: 'URL slug',
+    fn: text => text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+  }
+};
+
+class ClipboardTransforms {
+  constructor() {
+    this.transforms = new Map(Object.entries(BUILT_IN_TRANSFORMS));
+  }
+
+  /**
+   * Add or replace a transform
+   * @param {string} name - Transform name
+   * @param {Object} transform - { description, input?, fn(text, options) }
+   */
+  register(name, transform) {
+    if (typeof name !== 'string' || !name || !transform || typeof transform.fn !== 'function') {
+      throw new Error('A transform needs a name and a fn function');
+    }
+    this.transforms.set(name, transform);
+  }
+
+  /**
+   * Remove a transform
+   * @param {string} name - Transform name
+   * @returns {boolean} True if it existed
+   */
+  unregister(name) {
+    return this.transforms.delete(name);
+  }
+
+  /**
+   * List transforms
+   * @returns {Array<Object>} { name, description, input }
+   */
+  list() {
+    return Array.from(this.transforms.entries()).map(([name, transform]) => ({
+      name,
+      description: transform.description || '',
+      input: transform.input || 'text'
+    }));
+  }
+
+  /**
+   * Resolve a pipeline, throwing on unknown names
+   * @param {string|Array<string>} names - Name, comma-separated names or array of names
+   * @returns {Array<string>} Transform names
+   */
+  resolve(names) {
+    const pipeline = (Array.isArray(names) ? names : String(names).split(','))
+      .map(name => String(name).trim())
+      .filter(Boolean);
+
+    if (pipeline.length === 0) {
+      throw new Error('No transform given');
+    }
+
+    pipeline.forEach(name => {
+      if (!this.transforms.has(name)) {
+        throw new Error(`Unknown transform: ${name}`);
+      }
+    });
+
+    return pipeline;
+  }
+
+  /**
+   * Get the input format the pipeline reads
+   * @param {Array<string>} pipeline - Resolved names
+   * @returns {string} 'text' or 'html'
+   */
+  getInput(pipeline) {
+    return this.transforms.get(pipeline[0]).input || 'text';
+  }
+
+  /**
+   * Run a pipeline
+   * @param {Array<string>} pipeline - Resolved names
+   * @param {string} text - Input
+   * @param {Object} options - Options passed to every transform
+   * @returns {string} Result
+   */
+  apply(pipeline, text, options = {}) {
+    return pipeline.reduce((value, name) => {
+      try {
+        return String(this.transforms.get(name).fn(value, options));
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+    }, text);
+  }
+}
+
+module.exports = ClipboardTransforms;
@@ -0,0 +1,208 @@
+const { app, BrowserWindow, powerMonitor } = require('electron');
+
+/**
+ * Do Not Disturb Scheduler
+ *
+ * Turns NotificationManager's Do Not Disturb on and off automatically, from
+ * the `doNotDisturb` store settings.
+ *
+ * Features:
+ * - Quiet hours: rules of weekdays plus a start and end time ('22:00'-'07:00'
+ *   runs overnight, into the next day)
+ * - Optional DND while the screen is locked
+ * - Optional DND while one of the app's windows is fullscreen
+ * - Digest delivery of what was queued, when DND ends
+ *
+ * Each source only acts when it changes, so turning DND off by hand during
+ * quiet hours lasts until the next quiet-hours period starts.
+ */
+
+const DEFAULT_SETTINGS = {
+  quietHoursEnabled: false,
+  quietHours: [],
+  whenLocked: false,
+  whenFullscreen: false,
+  digest: true
+};
+
+// Quiet hours are checked at the start of every minute
+const CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Convert 'HH:MM' to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check if a quiet-hours rule covers a moment
+ * @param {Object} rule - { days: Array<number> (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date - Moment to check
+ * @returns {boolean} True if inside the rule
+ */
+function ruleCovers(rule, date) {
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const today = rule.days.includes(date.getDay());
+
+  if (start === end) return today;
+  if (start < end) return today && now >= start && now < end;
+
+  // Overnight: the part after midnight belongs to the previous day's rule
+  const yesterday = rule.days.includes((date.getDay() + 6) % 7);
+  return (today && now >= start) || (yesterday && now < end);
+}
+
+class DoNotDisturbScheduler {
+  /**
+   * @param {Object} storeManager - StoreManager instance
+   * @param {Object} notificationManager - NotificationManager instance
+   */
+  constructor(storeManager, notificationManager) {
+    this.storeManager = storeManager;
+    this.notificationManager = notificationManager;
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.timer = null;
+    this.unwatch = null;
+    this.listeners = [];
+
+    // Last known state of each automatic source
+    this.active = { 'quiet-hours': false, locked: false, fullscreen: false };
+  }
+
+  /**
+   * Load settings and start following quiet hours, lock and fullscreen
+   */
+  start() {
+    if (this.unwatch) return;
+
+    this.unwatch = this.storeManager.watch('doNotDisturb', settings => this.configure(settings));
+
+    this.listen(powerMonitor, 'lock-screen', () => this.setSource('locked', this.settings.whenLocked));
+    this.listen(powerMonitor, 'unlock-screen', () => this.setSource('locked', false));
+    this.listen(app, 'browser-window-created', (event, window) => this.trackFullscreen(window));
+    BrowserWindow.getAllWindows().forEach(window => this.trackFullscreen(window));
+
+    this.configure(this.storeManager.get('doNotDisturb'));
+  }
+
+  /**
+   * Stop following; the current DND state is left as is
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.unwatch) {
+      this.unwatch();
+      this.unwatch = null;
+    }
+
+    this.listeners.forEach(([emitter, event, listener]) => emitter.removeListener(event, listener));
+    this.listeners = [];
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} settings - doNotDisturb settings from the store
+   */
+  configure(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.notificationManager.setDigestEnabled(this.settings.digest);
+
+    if (!this.settings.whenLocked) this.setSource('locked', false);
+    this.setSource('fullscreen', this.settings.whenFullscreen && this.anyFullscreen());
+    this.checkQuietHours();
+  }
+
+  /**
+   * Check if quiet hours cover a moment
+   * @param {Date} [date] - Moment (now if omitted)
+   * @returns {boolean} True during quiet hours
+   */
+  isQuietTime(date = new Date()) {
+    return this.settings.quietHoursEnabled && this.settings.quietHours.some(rule => ruleCovers(rule, date));
+  }
+
+  /**
+   * Get the automatic DND state
+   * @returns {Object} { settings, active: { quiet-hours, locked, fullscreen } }
+   */
+  getStatus() {
+    return { settings: { ...this.settings }, active: { ...this.active } };
+  }
+
+  /**
+   * Update quiet hours and schedule the next check
+   * @private
+   */
+  checkQuietHours() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.setSource('quiet-hours', this.isQuietTime());
+
+    if (this.unwatch && this.settings.quietHoursEnabled) {
+      this.timer = setTimeout(() => this.checkQuietHours(), CHECK_INTERVAL - Date.now() % CHECK_INTERVAL);
+    }
+  }
+
+  /**
+   * Record the state of an automatic source, turning DND on or off when it changes
+   * @param {string} source - 'quiet-hours', 'locked' or 'fullscreen'
+   * @param {boolean} active - Source state
+   * @private
+   */
+  setSource(source, active) {
+    if (this.active[source] === Boolean(active)) return;
+
+    this.active[source] = Boolean(active);
+    if (active) {
+      this.notificationManager.enableDoNotDisturb(source);
+    } else {
+      this.notificationManager.disableDoNotDisturb(source);
+    }
+  }
+
+  /**
+   * Follow a window's fullscreen state
+   * @param {BrowserWindow} window - Window
+   * @private
+   */
+  trackFullscreen(window) {
+    const update = () => this.setSource('fullscreen', this.settings.whenFullscreen && this.anyFullscreen());
+    window.on('enter-full-screen', update);
+    window.on('leave-full-screen', update);
+    window.once('closed', update);
+  }
+
+  /**
+   * Check if any app window is fullscreen
+   * @returns {boolean} True if one is
+   * @private
+   */
+  anyFullscreen() {
+    return BrowserWindow.getAllWindows().some(window => !window.isDestroyed() && window.isFullScreen());
+  }
+
+  /**
+   * Add a listener that stop() removes
+   * @param {EventEmitter} emitter - Emitter
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   * @private
+   */
+  listen(emitter, event, listener) {
+    emitter.on(event, listener);
+    this.listeners.push([emitter, event, listener]);
+  }
+}
+
+DoNotDisturbScheduler.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = DoNotDisturbScheduler;
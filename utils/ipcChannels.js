@@ -85,11 +85,51 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'notification:dnd-configure': {
+    description: 'Configure quiet hours, automatic DND and digest delivery',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:digest-get': {
+    description: 'Get the last Do Not Disturb digest',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:rules-get': {
+    description: 'Get the rules that deliver, queue or drop notifications during DND',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:rules-set': {
+    description: 'Replace the Do Not Disturb notification rules',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
   'notification:get-stats': {
     description: 'Get notification statistics',
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'notification:schedule': {
+    description: 'Schedule a notification (time, delay or cron recurrence)',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:schedule-list': {
+    description: 'List scheduled notifications',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:schedule-cancel': {
+    description: 'Cancel a scheduled notification',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'notification:schedule-snooze': {
+    description: 'Snooze a scheduled notification',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
   'notification:reply-received': {
     description: 'Notification reply received event',
     direction: 'main-to-renderer',
@@ -341,6 +381,16 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'file:addRecent': {
+    description: 'Record files opened outside the dialogs',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'file:pinRecent': {
+    description: 'Pin or unpin a recent file',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
   'dialog:showMessageBox': {
     description: 'Show message box dialog',
     direction: 'renderer-to-main',
@@ -378,6 +428,96 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'store:exportEncrypted': {
+    description: 'Export store as a passphrase-protected bundle',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:importEncrypted': {
+    description: 'Import or preview a passphrase-protected bundle',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:migrate': {
+    description: 'Run or dry-run store schema migrations',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:getSchema': {
+    description: 'Get the schema for a store key',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:registerSchema': {
+    description: 'Register a schema for a userPreferences sub-key',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:transaction': {
+    description: 'Apply several store operations atomically',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:history': {
+    description: 'Get the store change journal',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:undo': {
+    description: 'Undo the most recent store change',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:redo': {
+    description: 'Redo the most recently undone store change',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:subscribe': {
+    description: 'Subscribe to store changes matching a key pattern',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:unsubscribe': {
+    description: 'Unsubscribe from store changes',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:changed': {
+    description: 'Store value changed event',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
+  'store:snapshotCreate': {
+    description: 'Create a store snapshot',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:snapshotList': {
+    description: 'List store snapshots',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:snapshotDiff': {
+    description: 'Diff a snapshot against the live store',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:snapshotRestore': {
+    description: 'Restore the store from a snapshot',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:snapshotDelete': {
+    description: 'Delete a store snapshot',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'store:snapshotConfigure': {
+    description: 'Configure snapshot retention and schedule',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
   'store:setSecret': {
     description: 'Set encrypted secret',
     direction: 'renderer-to-main',
@@ -393,6 +533,43 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'store:rotateSecretKey': {
+    description: 'Re-encrypt all secrets under a new key',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+
+  // Store Profiles
+  'profile:list': {
+    description: 'List store profiles',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'profile:create': {
+    description: 'Create an empty store profile',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'profile:clone': {
+    description: 'Clone a store profile',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'profile:delete': {
+    description: 'Delete a store profile',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'profile:switch': {
+    description: 'Switch to another store profile',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'profile:switched': {
+    description: 'Active store profile changed event',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
 
   // Clipboard Operations
   'clipboard:readText': {
@@ -460,6 +637,76 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'clipboard:getHistoryImage': {
+    description: 'Get the image of a clipboard history item',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:configureHistory': {
+    description: 'Configure clipboard history persistence and retention',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:stackGet': {
+    description: 'Get the paste stack',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:stackStart': {
+    description: 'Start paste stack collect mode',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:stackStop': {
+    description: 'Stop paste stack collect mode',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:stackNext': {
+    description: 'Load the next paste stack item into the clipboard',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:stackEdit': {
+    description: 'Update, remove, move or clear paste stack items, or set the order',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:listTransforms': {
+    description: 'List clipboard transforms',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:transform': {
+    description: 'Transform the clipboard or a history item and write the result back',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:bindTransform': {
+    description: 'Bind a clipboard transform pipeline to a global shortcut',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:configureSensitivity': {
+    description: 'Configure sensitive-content rules of the clipboard monitor',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:search': {
+    description: 'Search clipboard history by text, type, date, source and tags',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:pin': {
+    description: 'Pin or unpin a clipboard history item',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:tag': {
+    description: 'Set the tags of a clipboard history item',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
   'clipboard:clearHistory': {
     description: 'Clear clipboard history',
     direction: 'renderer-to-main',
@@ -490,6 +737,90 @@ const IPC_CHANNELS = {
     direction: 'renderer-to-main',
     requiresResponse: true
   },
+  'clipboard:subscribe': {
+    description: 'Subscribe to clipboard events',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:unsubscribe': {
+    description: 'Unsubscribe from clipboard events',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'clipboard:event': {
+    description: 'Clipboard event (change, history, monitoring, paste stack)',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
+
+  // In-App Toasts
+  'toast:show': {
+    description: 'Show a toast in the toast window',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
+  'toast:remove': {
+    description: 'Remove a toast from the toast window',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
+  'toast:event': {
+    description: 'Report a toast click, action, reply or dismissal',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'toast:set-interactive': {
+    description: 'Toggle click-through of the toast window',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+
+  // Snippet Operations
+  'snippet:list': {
+    description: 'List snippets',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:create': {
+    description: 'Create a snippet',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:update': {
+    description: 'Update a snippet',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:delete': {
+    description: 'Delete a snippet and its shortcut',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:expand': {
+    description: 'Expand a snippet into the clipboard',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:export': {
+    description: 'Export snippets as JSON',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:import': {
+    description: 'Import snippets',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:bind': {
+    description: 'Bind a snippet to a global shortcut',
+    direction: 'renderer-to-main',
+    requiresResponse: true
+  },
+  'snippet:input-requested': {
+    description: 'Snippet shortcut needs {input:...} values event',
+    direction: 'main-to-renderer',
+    requiresResponse: false
+  },
 
   // Global Shortcuts Operations
   'shortcuts:getAll': {
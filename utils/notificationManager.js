@@ -3,7 +3,15 @@
  *
  * Comprehensive notification system with:
  * - Queue management
- * - Do Not Disturb mode
+ * - Do Not Disturb mode, turned on manually or automatically (quiet hours,
+ *   locked screen, fullscreen; see doNotDisturbScheduler.js)
+ * - Notifications queued during DND arrive as one digest when it ends
+ * - Priorities (low, normal, high, critical) and source categories, matched by
+ *   rules that deliver, queue or drop notifications during DND
+ * - Rate limiting per source, identical notifications collapsed into one with
+ *   a counter, and groups (groupId) whose newest notification replaces the last
+ * - In-app toasts (see toastCenter.js) when native notifications are
+ *   unavailable or the user prefers them, with the same events
  * - Notification history
  * - Actions and replies
  * - Multiple notification types
@@ -12,6 +20,37 @@
 const { Notification } = require('electron');
 const path = require('path');
 
+// Priority levels, lowest first
+const PRIORITIES = ['low', 'normal', 'high', 'critical'];
+
+// Platform urgency used when a notification only sets a priority
+const PRIORITY_URGENCY = { low: 'low', normal: 'normal', high: 'normal', critical: 'critical' };
+
+// What happens to notifications during DND
+const DND_ACTIONS = ['deliver', 'queue', 'drop'];
+
+// Action when no rule matches
+const DEFAULT_DND_ACTION = 'queue';
+
+// Flood protection: at most maxPerSource notifications of one category every
+// perSeconds (critical ones are never throttled), and identical title/body
+// pairs within dedupeSeconds are merged
+const DEFAULT_THROTTLE = {
+  enabled: true,
+  maxPerSource: 5,
+  perSeconds: 10,
+  dedupeSeconds: 10
+};
+
+/**
+ * Get the key identical notifications share
+ * @param {Object} config - Notification config
+ * @returns {string} Key
+ */
+function dedupeKey(config) {
+  return `${config.title}\n${config.body}`;
+}
+
 class NotificationManager {
   constructor() {
     // Notification queue for scheduled/pending notifications
@@ -21,8 +60,31 @@ class NotificationManager {
     this.history = [];
     this.maxHistorySize = 50;
 
-    // Do Not Disturb mode
+    // Do Not Disturb mode: on while any reason is active
+    // ('manual', 'quiet-hours', 'locked', 'fullscreen')
     this.doNotDisturb = false;
+    this.dndReasons = new Set();
+    this.dndSince = null;
+
+    // Queued notifications arrive as one digest notification when DND ends
+    this.digestEnabled = true;
+    this.lastDigest = null;
+
+    // Rules deciding what happens to notifications during DND, first match wins
+    this.rules = [];
+    this.droppedCount = 0;
+
+    // Flood protection
+    this.throttle = { ...DEFAULT_THROTTLE };
+    this.sourceHits = new Map(); // category -> recent delivery times
+    this.recent = new Map(); // dedupe key -> last displayed config
+    this.groups = new Map(); // groupId -> ID of its newest notification
+    this.throttledCount = 0;
+    this.mergedCount = 0;
+    this.groupedCount = 0;
+
+    // In-app toasts, set by setToastCenter()
+    this.toastCenter = null;
 
     // Active notifications map (id -> notification instance)
     this.activeNotifications = new Map();
@@ -36,7 +98,8 @@ class NotificationManager {
       'notification-clicked': [],
       'notification-replied': [],
       'notification-action': [],
-      'notification-closed': []
+      'notification-closed': [],
+      'dnd-changed': []
     };
 
     console.log('NotificationManager initialized');
@@ -44,28 +107,84 @@ class NotificationManager {
 
   /**
    * Check if notifications are supported
+   * True without native support too once in-app toasts are available.
    */
   isSupported() {
-    return Notification.isSupported();
+    return Notification.isSupported() || Boolean(this.toastCenter);
+  }
+
+  /**
+   * Use in-app toasts when native notifications are unavailable or not preferred
+   * @param {Object|null} toastCenter - ToastCenter instance
+   */
+  setToastCenter(toastCenter) {
+    this.toastCenter = toastCenter;
   }
 
   /**
    * Enable Do Not Disturb mode
+   * @param {string} [reason='manual'] - Why DND is on
    */
-  enableDoNotDisturb() {
-    this.doNotDisturb = true;
-    console.log('Do Not Disturb enabled');
+  enableDoNotDisturb(reason = 'manual') {
+    if (this.dndReasons.has(reason)) return;
+
+    this.dndReasons.add(reason);
+    this.updateDoNotDisturb();
+    console.log(`Do Not Disturb enabled (${reason})`);
   }
 
   /**
    * Disable Do Not Disturb mode
+   * Without a reason (the user turning it off) every reason is cleared;
+   * automatic reasons only come back at their next change.
+   * @param {string} [reason] - Reason to clear
    */
-  disableDoNotDisturb() {
-    this.doNotDisturb = false;
-    console.log('Do Not Disturb disabled');
+  disableDoNotDisturb(reason) {
+    if (reason) {
+      if (!this.dndReasons.delete(reason)) return;
+    } else {
+      this.dndReasons.clear();
+    }
+
+    this.updateDoNotDisturb();
+    console.log(`Do Not Disturb ${this.doNotDisturb ? 'still on' : 'disabled'}${reason ? ` (${reason} ended)` : ''}`);
 
     // Process any queued notifications
-    this.processQueue();
+    if (!this.doNotDisturb) {
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Sync the DND flag with its reasons and notify listeners of changes
+   * @private
+   */
+  updateDoNotDisturb() {
+    const enabled = this.dndReasons.size > 0;
+    const changed = enabled !== this.doNotDisturb;
+
+    this.doNotDisturb = enabled;
+    if (changed) {
+      this.dndSince = enabled ? new Date().toISOString() : null;
+    }
+
+    this.emit('dnd-changed', { enabled, reasons: this.getDoNotDisturbReasons(), since: this.dndSince });
+  }
+
+  /**
+   * Get the reasons DND is on
+   * @returns {Array<string>} Reasons, empty when off
+   */
+  getDoNotDisturbReasons() {
+    return Array.from(this.dndReasons);
+  }
+
+  /**
+   * Turn digest delivery on or off
+   * @param {boolean} enabled - Deliver queued notifications as one digest
+   */
+  setDigestEnabled(enabled) {
+    this.digestEnabled = Boolean(enabled);
   }
 
   /**
@@ -87,9 +206,90 @@ class NotificationManager {
     return this.doNotDisturb;
   }
 
+  /**
+   * Set the DND rules
+   * Rules are checked in order and the first match decides. A rule matches
+   * when every field it sets matches; a rule without fields matches everything.
+   * @param {Array<Object>} rules - { name, enabled, priority: Array<string>,
+   *   minPriority, category: Array<string>, action: 'deliver'|'queue'|'drop' }
+   */
+  setRules(rules = []) {
+    this.rules = rules.filter(rule => rule.enabled !== false && DND_ACTIONS.includes(rule.action));
+  }
+
+  /**
+   * Get the active DND rules
+   * @returns {Array<Object>} Rules
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Configure flood protection
+   * @param {Object} settings - { enabled, maxPerSource, perSeconds, dedupeSeconds }
+   */
+  setThrottleSettings(settings = {}) {
+    this.throttle = { ...DEFAULT_THROTTLE, ...settings };
+    this.sourceHits.clear();
+  }
+
+  /**
+   * Decide what happens to a notification right now
+   * @param {Object} config - { priority, category }
+   * @returns {Object} { action, rule, reason, dndReasons }
+   */
+  evaluate(config) {
+    if (!this.doNotDisturb) {
+      return { action: 'deliver', rule: null, reason: 'Do Not Disturb is off', dndReasons: [] };
+    }
+
+    const dndReasons = this.getDoNotDisturbReasons();
+    const rule = this.rules.find(candidate => this.ruleMatches(candidate, config));
+
+    if (!rule) {
+      return { action: DEFAULT_DND_ACTION, rule: null, reason: 'No rule matched during Do Not Disturb', dndReasons };
+    }
+
+    return {
+      action: rule.action,
+      rule: rule.name || null,
+      reason: `Rule "${rule.name || 'unnamed'}" matched during Do Not Disturb`,
+      dndReasons
+    };
+  }
+
+  /**
+   * Check if a rule matches a notification
+   * @param {Object} rule - Rule, see setRules()
+   * @param {Object} config - { priority, category }
+   * @returns {boolean} True if every field of the rule matches
+   * @private
+   */
+  ruleMatches(rule, config) {
+    if (rule.priority && rule.priority.length > 0 && !rule.priority.includes(config.priority)) {
+      return false;
+    }
+
+    if (rule.minPriority && PRIORITIES.indexOf(config.priority) < PRIORITIES.indexOf(rule.minPriority)) {
+      return false;
+    }
+
+    if (rule.category && rule.category.length > 0 && !rule.category.includes(config.category)) {
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Show a notification
+   * During DND the rules decide whether it is shown, queued or dropped; the
+   * decision is kept as `delivery` on the config and its history entry.
    * @param {Object} options - Notification options
+   * @param {string} [options.priority='normal'] - low, normal, high or critical
+   * @param {string} [options.category='general'] - Source, e.g. 'clipboard', 'reminder'
+   * @param {string} [options.groupId] - Replaces the group's previous notification instead of stacking
    * @returns {Object} Result with success status and notification ID
    */
   show(options = {}) {
@@ -97,45 +297,184 @@ class NotificationManager {
       return { success: false, error: 'Notifications not supported' };
     }
 
-    // Generate unique ID
-    const id = ++this.notificationCounter;
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+    const timestamp = new Date().toISOString();
 
     // Create notification config
     const notificationConfig = {
-      id,
       title: options.title || 'Notification',
       body: options.body || '',
       icon: options.icon || null,
       silent: options.silent || false,
-      urgency: options.urgency || 'normal',
+      urgency: options.urgency || PRIORITY_URGENCY[priority],
       timeoutType: options.timeoutType || 'default',
       actions: options.actions || [],
       hasReply: options.hasReply || false,
       replyPlaceholder: options.replyPlaceholder || 'Type a reply...',
-      timestamp: new Date().toISOString(),
-      type: options.type || 'info' // info, success, warning, error
+      timestamp,
+      updatedAt: timestamp, // Last merged duplicate
+      count: 1, // Identical notifications merged into this one
+      type: options.type || 'info', // info, success, warning, error
+      priority,
+      category: options.category || 'general',
+      groupId: options.groupId || null,
+      digestId: options.digestId || null // Set on digest notifications
     };
 
-    // If Do Not Disturb is enabled, queue the notification
-    if (this.doNotDisturb) {
+    notificationConfig.delivery = this.evaluate(notificationConfig);
+
+    if (notificationConfig.delivery.action !== 'drop') {
+      const merged = this.mergeDuplicate(notificationConfig);
+      if (merged) return merged;
+    }
+
+    // Generate unique ID
+    const id = ++this.notificationCounter;
+    notificationConfig.id = id;
+
+    if (notificationConfig.delivery.action === 'drop') {
+      this.droppedCount++;
+      this.addToHistory(notificationConfig);
+      console.log(`Notification dropped (DND mode): ${notificationConfig.title}`);
+      return { success: true, id, dropped: true, delivery: notificationConfig.delivery };
+    }
+
+    if (notificationConfig.delivery.action === 'deliver' && this.isThrottled(notificationConfig)) {
+      const { maxPerSource, perSeconds } = this.throttle;
+      notificationConfig.delivery = {
+        action: 'throttle',
+        rule: null,
+        reason: `More than ${maxPerSource} ${notificationConfig.category} notifications in ${perSeconds}s`,
+        dndReasons: []
+      };
+      this.throttledCount++;
+      this.addToHistory(notificationConfig);
+      console.log(`Notification throttled: ${notificationConfig.title}`);
+      return { success: true, id, throttled: true, delivery: notificationConfig.delivery };
+    }
+
+    if (notificationConfig.delivery.action === 'queue') {
+      this.replaceQueuedGroup(notificationConfig);
       this.queue.push(notificationConfig);
       console.log(`Notification queued (DND mode): ${notificationConfig.title}`);
-      return { success: true, id, queued: true };
+      return { success: true, id, queued: true, delivery: notificationConfig.delivery };
+    }
+
+    return this.display(notificationConfig);
+  }
+
+  /**
+   * Merge a notification into an identical recent one
+   * Queued notifications merge with the queue, delivered ones with what was
+   * last displayed, which is shown again with the new count.
+   * @param {Object} config - New notification config
+   * @returns {Object|null} Result of the merge, or null if there is no duplicate
+   * @private
+   */
+  mergeDuplicate(config) {
+    if (!this.throttle.enabled || !this.throttle.dedupeSeconds) return null;
+
+    const key = dedupeKey(config);
+    const isFresh = candidate => Date.now() - Date.parse(candidate.updatedAt) < this.throttle.dedupeSeconds * 1000;
+    const previous = config.delivery.action === 'queue'
+      ? this.queue.find(candidate => dedupeKey(candidate) === key && isFresh(candidate))
+      : [this.recent.get(key)].find(candidate => candidate && isFresh(candidate));
+
+    if (!previous) return null;
+
+    previous.count++;
+    previous.updatedAt = config.updatedAt;
+    this.mergedCount++;
+    console.log(`Notification merged (${previous.count}x): ${previous.title}`);
+
+    if (config.delivery.action === 'queue') {
+      return { success: true, id: previous.id, queued: true, merged: true, count: previous.count, delivery: previous.delivery };
+    }
+
+    // Move the entry to the top of the history
+    this.history = this.history.filter(entry => entry !== previous);
+    return { ...this.display(previous), merged: true, count: previous.count };
+  }
+
+  /**
+   * Check the per-source rate limit, counting the notification if it passes
+   * @param {Object} config - Notification config
+   * @returns {boolean} True if the source sent too many recently
+   * @private
+   */
+  isThrottled(config) {
+    if (!this.throttle.enabled || config.priority === 'critical') return false;
+
+    const now = Date.now();
+    const hits = (this.sourceHits.get(config.category) || [])
+      .filter(time => now - time < this.throttle.perSeconds * 1000);
+
+    if (hits.length >= this.throttle.maxPerSource) {
+      this.sourceHits.set(config.category, hits);
+      return true;
+    }
+
+    hits.push(now);
+    this.sourceHits.set(config.category, hits);
+    return false;
+  }
+
+  /**
+   * Remove the queued notification of a config's group, which it replaces
+   * @param {Object} config - Notification config about to be queued
+   * @private
+   */
+  replaceQueuedGroup(config) {
+    if (!config.groupId) return;
+
+    const index = this.queue.findIndex(candidate => candidate.groupId === config.groupId);
+    if (index !== -1) {
+      config.replaces = this.queue[index].id;
+      this.queue.splice(index, 1);
+      this.groupedCount++;
+    }
+  }
+
+  /**
+   * Close an on-screen notification without emitting notification-closed
+   * Used when a newer one takes its place.
+   * @param {number} id - Notification ID
+   * @private
+   */
+  dismiss(id) {
+    const notification = this.activeNotifications.get(id);
+    if (notification) {
+      notification.removeAllListeners();
+      notification.close();
+      this.activeNotifications.delete(id);
+    }
+  }
+
+  /**
+   * Show a notification config on screen and add it to the history
+   * A config already on screen (merged duplicate) or the previous notification
+   * of its group is replaced.
+   * @param {Object} notificationConfig - Config built by show()
+   * @returns {Object} Result with success status and notification ID
+   * @private
+   */
+  display(notificationConfig) {
+    const { id, groupId } = notificationConfig;
+
+    this.dismiss(id);
+    if (groupId) {
+      const previousId = this.groups.get(groupId);
+      if (previousId !== undefined && previousId !== id && this.activeNotifications.has(previousId)) {
+        this.dismiss(previousId);
+        notificationConfig.replaces = previousId;
+        this.groupedCount++;
+      }
+      this.groups.set(groupId, id);
     }
 
     try {
       // Create the notification
-      const notification = new Notification({
-        title: notificationConfig.title,
-        body: notificationConfig.body,
-        icon: notificationConfig.icon,
-        silent: notificationConfig.silent,
-        urgency: notificationConfig.urgency,
-        timeoutType: notificationConfig.timeoutType,
-        actions: notificationConfig.actions,
-        hasReply: notificationConfig.hasReply,
-        replyPlaceholder: notificationConfig.replyPlaceholder
-      });
+      const notification = this.createNotification(notificationConfig);
 
       // Store the notification
       this.activeNotifications.set(id, notification);
@@ -160,6 +499,7 @@ class NotificationManager {
 
       notification.on('close', () => {
         this.activeNotifications.delete(id);
+        if (this.groups.get(groupId) === id) this.groups.delete(groupId);
         this.emit('notification-closed', { id, config: notificationConfig });
       });
 
@@ -168,9 +508,10 @@ class NotificationManager {
 
       // Add to history
       this.addToHistory(notificationConfig);
+      this.rememberDisplayed(notificationConfig);
 
       console.log(`Notification shown: ${notificationConfig.title}`);
-      return { success: true, id };
+      return { success: true, id, delivery: notificationConfig.delivery };
 
     } catch (error) {
       console.error('Error showing notification:', error);
@@ -178,6 +519,52 @@ class NotificationManager {
     }
   }
 
+  /**
+   * Create a native notification or an in-app toast for a config
+   * Both emit the same events; the one used is kept as `presenter` on the config.
+   * @param {Object} notificationConfig - Notification config
+   * @returns {Notification|Object} Native notification or toast
+   * @private
+   */
+  createNotification(notificationConfig) {
+    const options = {
+      title: notificationConfig.count > 1
+        ? `${notificationConfig.title} (${notificationConfig.count}x)`
+        : notificationConfig.title,
+      body: notificationConfig.body,
+      icon: notificationConfig.icon,
+      silent: notificationConfig.silent,
+      urgency: notificationConfig.urgency,
+      timeoutType: notificationConfig.timeoutType,
+      actions: notificationConfig.actions,
+      hasReply: notificationConfig.hasReply,
+      replyPlaceholder: notificationConfig.replyPlaceholder
+    };
+
+    if (this.toastCenter && this.toastCenter.isPreferred()) {
+      notificationConfig.presenter = 'toast';
+      return this.toastCenter.create({ ...options, type: notificationConfig.type });
+    }
+
+    notificationConfig.presenter = 'native';
+    return new Notification(options);
+  }
+
+  /**
+   * Remember a displayed notification for merging duplicates, forgetting stale ones
+   * @param {Object} config - Displayed config
+   * @private
+   */
+  rememberDisplayed(config) {
+    const now = Date.now();
+    for (const [key, candidate] of this.recent.entries()) {
+      if (now - Date.parse(candidate.updatedAt) >= this.throttle.dedupeSeconds * 1000) {
+        this.recent.delete(key);
+      }
+    }
+    this.recent.set(dedupeKey(config), config);
+  }
+
   /**
    * Show a notification of specific type with predefined styling
    * @param {string} type - Notification type (info, success, warning, error)
@@ -189,18 +576,22 @@ class NotificationManager {
     const typeConfig = {
       info: {
         urgency: 'normal',
+        priority: 'normal',
         silent: false
       },
       success: {
         urgency: 'low',
+        priority: 'low',
         silent: false
       },
       warning: {
         urgency: 'normal',
+        priority: 'normal',
         silent: false
       },
       error: {
         urgency: 'critical',
+        priority: 'high',
         silent: false
       }
     };
@@ -293,23 +684,68 @@ class NotificationManager {
   /**
    * Process notification queue
    * (Called when DND is disabled)
+   * More than one queued notification arrives as a single digest.
    */
   processQueue() {
     if (this.queue.length === 0) {
       return;
     }
 
+    if (this.digestEnabled && this.queue.length > 1) {
+      this.showDigest();
+      return;
+    }
+
     console.log(`Processing ${this.queue.length} queued notifications`);
     const queueCopy = [...this.queue];
     this.queue = [];
 
-    queueCopy.forEach(config => {
-      // Remove id and re-show (will get new ID)
-      const { id, ...configWithoutId } = config;
-      this.show(configWithoutId);
+    // Keeps the ID and the queue decision given by show()
+    queueCopy.forEach(config => this.display(config));
+  }
+
+  /**
+   * Replace the queue with one summary notification
+   * The queued notifications go to the history and to getDigest().
+   * @returns {Object} Result of show()
+   * @private
+   */
+  showDigest() {
+    const items = [...this.queue];
+    const digestId = `digest-${Date.now()}`;
+    this.queue = [];
+
+    this.lastDigest = {
+      id: digestId,
+      createdAt: new Date().toISOString(),
+      since: items[0].timestamp,
+      items
+    };
+
+    // Oldest first, so the newest ends up on top of the history
+    items.forEach(config => this.addToHistory({ ...config, digestId }));
+
+    const titles = items.slice(-3).reverse().map(config => config.title);
+    const more = items.length > titles.length ? `, +${items.length - titles.length} more` : '';
+
+    console.log(`Delivering ${items.length} queued notifications as a digest`);
+    return this.show({
+      title: `${items.length} notifications while you were away`,
+      body: `${titles.join(', ')}${more}`,
+      type: 'info',
+      category: 'system',
+      digestId
     });
   }
 
+  /**
+   * Get the last digest
+   * @returns {Object|null} { id, createdAt, since, items }
+   */
+  getDigest() {
+    return this.lastDigest;
+  }
+
   /**
    * Register event callback
    * @param {string} event - Event name
@@ -358,10 +794,19 @@ class NotificationManager {
       queuedCount: this.queue.length,
       activeCount: this.activeNotifications.size,
       doNotDisturb: this.doNotDisturb,
-      totalShown: this.notificationCounter
+      doNotDisturbReasons: this.getDoNotDisturbReasons(),
+      droppedCount: this.droppedCount,
+      throttledCount: this.throttledCount,
+      mergedCount: this.mergedCount,
+      groupedCount: this.groupedCount,
+      rulesCount: this.rules.length,
+      totalShown: this.notificationCounter,
+      toasts: this.toastCenter ? this.toastCenter.getStats() : null
     };
   }
 }
 
 // Export singleton instance
 module.exports = new NotificationManager();
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.DND_ACTIONS = DND_ACTIONS;
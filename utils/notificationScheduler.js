@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+
+/**
+ * Notification Scheduler
+ *
+ * Delivers notifications through NotificationManager at a set time, after a
+ * delay or on a cron-like recurrence. Schedules live in the store
+ * (`notificationSchedules`), so they survive restarts and follow the profile.
+ *
+ * Features:
+ * - One-shot schedules ({ at } or { delay }) and recurring ones ({ cron })
+ * - Cron expressions: minute hour day-of-month month day-of-week, with `*`,
+ *   lists, ranges, steps, month/weekday names and @hourly/@daily/@weekly/...
+ * - Snooze: deliver again after a delay (also for already delivered one-shots)
+ * - Catch-up for occurrences missed while the app was closed or asleep:
+ *   'latest' (one notification), 'all' (each one, up to MAX_CATCH_UP) or 'skip'
+ *
+ * Schedules have the shape { id, notification, at, cron, catchUp, snoozed,
+ * createdAt, lastFiredAt, fireCount, missedCount }. `at` is the next delivery
+ * (ISO string), or null once a one-shot has been delivered.
+ */
+
+const CATCH_UP_POLICIES = ['latest', 'all', 'skip'];
+const DEFAULT_SNOOZE_MS = 5 * 60 * 1000;
+
+// Occurrences up to this late still count as on time
+const LATE_GRACE_MS = 60 * 1000;
+// Most notifications delivered for one schedule by the 'all' policy
+const MAX_CATCH_UP = 5;
+// Stop counting missed occurrences here (minutely schedules after a long break)
+const MAX_MISSED_COUNT = 1000;
+// Delivered one-shots are kept this long so they can still be snoozed
+const COMPLETED_RETENTION_MS = 24 * 60 * 60 * 1000;
+// setTimeout overflows past ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Parse one cron field
+ * @param {string} text - Field text, e.g. '*', '1-5', '*\/15', 'mon,wed'
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  const toNumber = value => {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid ${field.name} in cron expression: ${value}`);
+    }
+    return number;
+  };
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron expression: ${part}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = to !== undefined ? toNumber(to) : stepText !== undefined ? field.max : start;
+    }
+    if (start > end) {
+      throw new Error(`Invalid range in cron expression: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday is both 0 and 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - 5-field expression or alias
+ * @returns {Object} Parsed fields, each a Set of values
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const text = CRON_ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): ${expression}`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(parts[i], field);
+  });
+
+  // Like cron: if both day fields are restricted, either one matching is enough
+  cron.dayOfMonthRestricted = parts[2] !== '*';
+  cron.dayOfWeekRestricted = parts[4] !== '*';
+  return cron;
+}
+
+/**
+ * Check the day fields of a cron expression against a date
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date
+ * @returns {boolean} True if the day matches
+ */
+function cronDayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  if (cron.dayOfMonthRestricted) return dom;
+  if (cron.dayOfWeekRestricted) return dow;
+  return true;
+}
+
+/**
+ * Find the next time a cron expression matches, in local time
+ * @param {Object} cron - Parsed expression
+ * @param {number} after - Timestamp (ms); the result is strictly later
+ * @returns {number} Timestamp (ms) of the next match
+ * @throws {Error} If it never matches (e.g. 30 February)
+ */
+function nextCronTime(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+
+  throw new Error('Cron expression never matches');
+}
+
+class NotificationScheduler {
+  /**
+   * @param {Object} storeManager - StoreManager instance
+   * @param {Object} notificationManager - NotificationManager instance
+   */
+  constructor(storeManager, notificationManager) {
+    this.storeManager = storeManager;
+    this.notificationManager = notificationManager;
+    this.timer = null;
+    this.unwatch = null;
+  }
+
+  /**
+   * Deliver missed notifications and arm the timer
+   * Also re-runs when the schedules change (edits, profile switch).
+   */
+  start() {
+    if (this.unwatch) return;
+
+    this.unwatch = this.storeManager.watch('notificationSchedules', () => this.processDue());
+    this.processDue();
+  }
+
+  /**
+   * Stop delivering; schedules stay in the store
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.unwatch) {
+      this.unwatch();
+      this.unwatch = null;
+    }
+  }
+
+  /**
+   * Schedule a notification
+   * @param {Object} notification - NotificationManager.show options (title required)
+   * @param {Object} when - When to deliver
+   * @param {string|number} [when.at] - Absolute time (ISO string or ms)
+   * @param {number} [when.delay] - Delay in ms
+   * @param {string} [when.cron] - Recurrence, e.g. '0 9 * * mon-fri'
+   * @param {string} [when.catchUp='latest'] - Missed-occurrence policy: latest, all or skip
+   * @returns {Object} Created schedule
+   */
+  schedule(notification, when = {}) {
+    if (!notification || typeof notification.title !== 'string' || !notification.title.trim()) {
+      throw new Error('Scheduled notification needs a title');
+    }
+
+    const catchUp = when.catchUp || 'latest';
+    if (!CATCH_UP_POLICIES.includes(catchUp)) {
+      throw new Error(`Catch-up policy must be one of: ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+
+    const given = ['at', 'delay', 'cron'].filter(key => when[key] !== undefined && when[key] !== null);
+    if (given.length !== 1) {
+      throw new Error('Give exactly one of at, delay or cron');
+    }
+
+    const now = Date.now();
+    let at;
+    let cron = null;
+
+    if (when.cron !== undefined && when.cron !== null) {
+      cron = String(when.cron).trim();
+      at = nextCronTime(parseCron(cron), now);
+    } else if (when.delay !== undefined && when.delay !== null) {
+      if (typeof when.delay !== 'number' || !(when.delay > 0)) {
+        throw new Error('Delay must be a positive number of milliseconds');
+      }
+      at = now + when.delay;
+    } else {
+      at = typeof when.at === 'number' ? when.at : Date.parse(when.at);
+      if (Number.isNaN(at)) {
+        throw new Error(`Invalid time: ${when.at}`);
+      }
+      if (at <= now) {
+        throw new Error('Scheduled time is in the past');
+      }
+    }
+
+    const schedule = {
+      id: crypto.randomUUID(),
+      notification: { ...notification },
+      at: new Date(at).toISOString(),
+      cron,
+      catchUp,
+      snoozed: false,
+      createdAt: new Date(now).toISOString(),
+      lastFiredAt: null,
+      fireCount: 0,
+      missedCount: 0
+    };
+
+    this.save([...this.storeManager.get('notificationSchedules', []), schedule]);
+    return schedule;
+  }
+
+  /**
+   * List schedules, next delivery first; delivered one-shots last
+   * @returns {Array<Object>} Schedules
+   */
+  list() {
+    return [...this.storeManager.get('notificationSchedules', [])].sort((a, b) => {
+      if (!a.at || !b.at) return a.at ? -1 : b.at ? 1 : 0;
+      return Date.parse(a.at) - Date.parse(b.at);
+    });
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} id - Schedule ID
+   * @returns {Object|null} Schedule
+   */
+  get(id) {
+    return this.storeManager.get('notificationSchedules', []).find(schedule => schedule.id === id) || null;
+  }
+
+  /**
+   * Cancel a schedule
+   * @param {string} id - Schedule ID
+   * @returns {boolean} True if it existed
+   */
+  cancel(id) {
+    const schedules = this.storeManager.get('notificationSchedules', []);
+    const remaining = schedules.filter(schedule => schedule.id !== id);
+
+    if (remaining.length === schedules.length) return false;
+
+    this.save(remaining);
+    return true;
+  }
+
+  /**
+   * Snooze a schedule: deliver it again after a delay
+   * For a recurring schedule this replaces the next occurrence; regular
+   * occurrences resume after the snoozed one is delivered.
+   * @param {string} id - Schedule ID
+   * @param {number} [delay] - Delay in ms (default 5 minutes)
+   * @returns {Object} Updated schedule
+   */
+  snooze(id, delay = DEFAULT_SNOOZE_MS) {
+    if (typeof delay !== 'number' || !(delay > 0)) {
+      throw new Error('Snooze delay must be a positive number of milliseconds');
+    }
+
+    const schedules = this.storeManager.get('notificationSchedules', []);
+    const schedule = schedules.find(item => item.id === id);
+
+    if (!schedule) {
+      throw new Error(`Scheduled notification not found: ${id}`);
+    }
+
+    schedule.at = new Date(Date.now() + delay).toISOString();
+    schedule.snoozed = true;
+    delete schedule.completedAt;
+
+    this.save(schedules);
+    return schedule;
+  }
+
+  /**
+   * Deliver everything that is due, then arm the timer for the next one
+   * @private
+   */
+  processDue() {
+    const now = Date.now();
+    const schedules = this.storeManager.get('notificationSchedules', []);
+    let changed = false;
+
+    const kept = schedules.filter(schedule => {
+      // Delivered one-shots are dropped once they can't be snoozed any more
+      if (!schedule.at) {
+        const expired = !(Date.parse(schedule.completedAt) + COMPLETED_RETENTION_MS > now);
+        changed = changed || expired;
+        return !expired;
+      }
+
+      if (Date.parse(schedule.at) > now) return true;
+
+      try {
+        this.fire(schedule, now);
+      } catch (error) {
+        // A schedule that can't be rescheduled (hand-edited cron) is dropped
+        console.error(`Dropping notification schedule ${schedule.id}:`, error.message);
+        changed = true;
+        return false;
+      }
+      changed = true;
+      return true;
+    });
+
+    // Delivery progress is bookkeeping, not something to undo
+    if (changed) {
+      this.storeManager.withoutJournal(() => this.save(kept));
+    }
+    this.arm(kept);
+  }
+
+  /**
+   * Deliver a due schedule according to its catch-up policy and advance it
+   * @param {Object} schedule - Due schedule (updated in place)
+   * @param {number} now - Current time (ms)
+   * @private
+   */
+  fire(schedule, now) {
+    const first = Date.parse(schedule.at);
+    if (Number.isNaN(first)) {
+      throw new Error(`Invalid time: ${schedule.at}`);
+    }
+    const cron = schedule.cron ? parseCron(schedule.cron) : null;
+
+    // Occurrences that are due: the scheduled one plus any regular ones after it
+    const occurrences = [first];
+    if (cron && !schedule.snoozed) {
+      let next = nextCronTime(cron, first);
+      while (next <= now && occurrences.length < MAX_MISSED_COUNT) {
+        occurrences.push(next);
+        next = nextCronTime(cron, next);
+      }
+    }
+
+    const onTime = occurrences.length === 1 && now - first <= LATE_GRACE_MS;
+    let delivered = 0;
+
+    if (onTime) {
+      delivered = this.deliver(schedule, null);
+    } else if (schedule.catchUp === 'latest') {
+      delivered = this.deliver(schedule, occurrences);
+    } else if (schedule.catchUp === 'all') {
+      occurrences.slice(-MAX_CATCH_UP).forEach(time => {
+        delivered += this.deliver(schedule, [time]);
+      });
+    }
+
+    if (!onTime) {
+      schedule.missedCount = (schedule.missedCount || 0) + occurrences.length;
+      console.log(`Notification schedule ${schedule.id} missed ${occurrences.length} time(s), catch-up: ${schedule.catchUp}`);
+    }
+
+    schedule.lastFiredAt = new Date(now).toISOString();
+    schedule.fireCount = (schedule.fireCount || 0) + delivered;
+    schedule.snoozed = false;
+
+    if (cron) {
+      schedule.at = new Date(nextCronTime(cron, now)).toISOString();
+    } else {
+      schedule.at = null;
+      schedule.completedAt = schedule.lastFiredAt;
+    }
+  }
+
+  /**
+   * Show a schedule's notification
+   * @param {Object} schedule - Schedule
+   * @param {Array<number>|null} missed - Missed occurrence times, or null if on time
+   * @returns {number} 1 if shown, queued or dropped by a DND rule, 0 if it failed
+   * @private
+   */
+  deliver(schedule, missed) {
+    const options = { category: 'reminder', ...schedule.notification };
+
+    if (missed) {
+      const since = new Date(missed[0]).toLocaleString();
+      const note = missed.length > 1 ? `Missed ${missed.length} times since ${since}` : `Scheduled for ${since}`;
+      options.body = options.body ? `${options.body}\n${note}` : note;
+    }
+
+    const result = this.notificationManager.show(options);
+    if (!result.success) {
+      console.error(`Scheduled notification "${options.title}" not shown:`, result.error);
+      return 0;
+    }
+    return 1;
+  }
+
+  /**
+   * Arm the timer for the next pending schedule
+   * @param {Array<Object>} schedules - Current schedules
+   * @private
+   */
+  arm(schedules) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const times = schedules.filter(schedule => schedule.at).map(schedule => Date.parse(schedule.at));
+    if (!this.unwatch || times.length === 0) return;
+
+    const delay = Math.min(Math.max(Math.min(...times) - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => this.processDue(), delay);
+  }
+
+  /**
+   * Write schedules to the store
+   * @param {Array<Object>} schedules - Schedules
+   * @private
+   */
+  save(schedules) {
+    this.storeManager.set('notificationSchedules', schedules);
+  }
+}
+
+NotificationScheduler.CATCH_UP_POLICIES = CATCH_UP_POLICIES;
+NotificationScheduler.parseCron = parseCron;
+NotificationScheduler.nextCronTime = nextCronTime;
+
+module.exports = NotificationScheduler;
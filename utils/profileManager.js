@@ -0,0 +1,303 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { CURRENT_SCHEMA_VERSION } = require('./storeMigrations');
+
+/**
+ * Profile Manager
+ *
+ * Named store profiles (e.g. demo, work, testing), each with its own store
+ * file and therefore its own preferences, shortcuts, window state and secrets.
+ *
+ * Features:
+ * - One store file per profile ('default' keeps the original config.json)
+ * - Create, clone, delete and list profiles
+ * - Active profile remembered across launches
+ * - `--profile=<name>` command line override
+ * - Names are case-insensitive and used in lower case, so profiles map to
+ *   the same files on case-sensitive and case-insensitive file systems
+ * - Deleting a profile also deletes its journal, snapshots and backups
+ *
+ * This module only manages files. Re-opening the store and re-initialising
+ * the managers that depend on it is done by main.js (see switchProfile).
+ */
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+class ProfileManager extends EventEmitter {
+  /**
+   * @param {string} baseDir - Directory holding config.json (usually userData)
+   */
+  constructor(baseDir) {
+    super();
+
+    this.baseDir = baseDir;
+    this.profilesDir = path.join(baseDir, 'profiles');
+    this.registryPath = path.join(baseDir, 'profiles.json');
+    this.activeProfile = null;
+  }
+
+  /**
+   * Determine the profile to open at startup
+   * A `--profile=<name>` flag wins and is created if missing; otherwise the
+   * last active profile is used.
+   * @param {Array<string>} argv - Command line arguments
+   * @returns {string} Profile name
+   */
+  getInitialProfile(argv = process.argv) {
+    const flag = argv.find(arg => arg.startsWith('--profile='));
+
+    if (flag) {
+      const name = this.normalizeName(flag.slice('--profile='.length));
+
+      if (this.isValidName(name)) {
+        if (!this.exists(name)) {
+          this.create(name);
+        }
+        return name;
+      }
+
+      console.warn(`Ignoring invalid --profile value: ${name}`);
+    }
+
+    const active = this.normalizeName(this.readRegistry().active);
+    return active && this.exists(active) ? active : DEFAULT_PROFILE;
+  }
+
+  /**
+   * Get the store file path of a profile
+   * @param {string} name - Profile name
+   * @returns {string} Absolute path
+   */
+  getStorePath(name) {
+    name = this.normalizeName(name);
+    if (name === DEFAULT_PROFILE) {
+      return path.join(this.baseDir, 'config.json');
+    }
+    return path.join(this.profilesDir, `${name}.json`);
+  }
+
+  /**
+   * Get the canonical form of a profile name
+   * @param {string} name - Profile name in any case
+   * @returns {string} Lower-case name (non-strings are returned unchanged)
+   */
+  normalizeName(name) {
+    return typeof name === 'string' ? name.toLowerCase() : name;
+  }
+
+  /**
+   * Check if a profile name is allowed
+   * @param {string} name - Profile name
+   * @returns {boolean} True if valid
+   */
+  isValidName(name) {
+    return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Check if a profile exists
+   * @param {string} name - Profile name
+   * @returns {boolean} True if it exists
+   */
+  exists(name) {
+    name = this.normalizeName(name);
+    // The default profile always exists, even before its file is written
+    return name === DEFAULT_PROFILE || (this.isValidName(name) && fs.existsSync(this.getStorePath(name)));
+  }
+
+  /**
+   * List all profiles
+   * @returns {Array<Object>} { name, active, path, size, modified }
+   */
+  list() {
+    const names = [DEFAULT_PROFILE];
+
+    if (fs.existsSync(this.profilesDir)) {
+      fs.readdirSync(this.profilesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .filter(name => this.isValidName(name) && name === this.normalizeName(name) && name !== DEFAULT_PROFILE)
+        .sort()
+        .forEach(name => names.push(name));
+    }
+
+    return names.map(name => {
+      const filePath = this.getStorePath(name);
+      const stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+
+      return {
+        name,
+        active: name === this.activeProfile,
+        path: filePath,
+        size: stats ? stats.size : 0,
+        modified: stats ? stats.mtime.toISOString() : null
+      };
+    });
+  }
+
+  /**
+   * Create an empty profile
+   * @param {string} name - Profile name
+   * @returns {Object} Profile info
+   */
+  create(name) {
+    name = this.normalizeName(name);
+    this.assertNewName(name);
+
+    const now = new Date().toISOString();
+    this.writeStoreFile(name, {
+      _metadata: { version: CURRENT_SCHEMA_VERSION, createdAt: now, lastModified: now }
+    });
+
+    console.log(`Profile created: ${name}`);
+    this.emit('profiles-changed');
+    return this.getInfo(name);
+  }
+
+  /**
+   * Clone an existing profile
+   * @param {string} source - Profile to copy
+   * @param {string} target - New profile name
+   * @returns {Object} Profile info
+   */
+  clone(source, target) {
+    source = this.normalizeName(source);
+    target = this.normalizeName(target);
+    if (!this.exists(source)) {
+      throw new Error(`Profile not found: ${source}`);
+    }
+    this.assertNewName(target);
+
+    const sourcePath = this.getStorePath(source);
+    const data = fs.existsSync(sourcePath) ? JSON.parse(fs.readFileSync(sourcePath, 'utf8')) : {};
+    const now = new Date().toISOString();
+    data._metadata = { ...data._metadata, createdAt: now, lastModified: now };
+
+    this.writeStoreFile(target, data);
+
+    console.log(`Profile cloned: ${source} -> ${target}`);
+    this.emit('profiles-changed');
+    return this.getInfo(target);
+  }
+
+  /**
+   * Delete a profile (not the default or the active one)
+   * Its journal, snapshots, migration backups and rejected edits go too.
+   * @param {string} name - Profile name
+   */
+  delete(name) {
+    name = this.normalizeName(name);
+    if (name === DEFAULT_PROFILE) {
+      throw new Error('The default profile cannot be deleted');
+    }
+    if (name === this.activeProfile) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+    if (!this.exists(name)) {
+      throw new Error(`Profile not found: ${name}`);
+    }
+
+    // Every file of a store starts with "<name>." (profile names contain no dots)
+    const prefix = `${name}.`;
+    [this.profilesDir, path.join(this.profilesDir, 'store-backups')].forEach(dir => {
+      if (!fs.existsSync(dir)) return;
+      fs.readdirSync(dir)
+        .filter(file => file.startsWith(prefix))
+        .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+    });
+
+    console.log(`Profile deleted: ${name}`);
+    this.emit('profiles-changed');
+  }
+
+  /**
+   * Record the active profile
+   * @param {string} name - Profile name
+   * @param {Object} options - Options
+   * @param {boolean} [options.remember=true] - Persist as the profile for the next launch
+   */
+  setActive(name, options = {}) {
+    name = this.normalizeName(name);
+    this.activeProfile = name;
+
+    if (options.remember !== false) {
+      this.writeRegistry({ ...this.readRegistry(), active: name });
+    }
+
+    this.emit('profile-activated', { name });
+  }
+
+  /**
+   * Get the active profile name
+   * @returns {string|null} Profile name
+   */
+  getActive() {
+    return this.activeProfile;
+  }
+
+  /**
+   * Get info for a single profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile info
+   */
+  getInfo(name) {
+    name = this.normalizeName(name);
+    return this.list().find(profile => profile.name === name) || null;
+  }
+
+  /**
+   * Throw unless a name is valid and unused
+   * @param {string} name - Profile name
+   * @private
+   */
+  assertNewName(name) {
+    if (!this.isValidName(name)) {
+      throw new Error('Profile names may contain letters, digits, "-" and "_" (max 32 characters)');
+    }
+    if (this.exists(name)) {
+      throw new Error(`Profile already exists: ${name}`);
+    }
+  }
+
+  /**
+   * Write a profile store file
+   * @param {string} name - Profile name
+   * @param {Object} data - Store data
+   * @private
+   */
+  writeStoreFile(name, data) {
+    const filePath = this.getStorePath(name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Read the profile registry
+   * @returns {Object} Registry data
+   * @private
+   */
+  readRegistry() {
+    try {
+      return JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write the profile registry
+   * @param {Object} data - Registry data
+   * @private
+   */
+  writeRegistry(data) {
+    fs.writeFileSync(this.registryPath, JSON.stringify(data, null, 2));
+  }
+}
+
+// Create singleton instance
+const profileManager = new ProfileManager(app.getPath('userData'));
+
+module.exports = profileManager;
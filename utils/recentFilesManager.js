@@ -0,0 +1,150 @@
+const { app } = require('electron');
+const fs = require('fs');
+
+/**
+ * Recent Files Manager
+ *
+ * Keeps the recently opened files in the store (`recentFiles`) so they
+ * survive restarts and follow the active profile.
+ *
+ * Features:
+ * - Most recent first, with a cap on unpinned entries
+ * - Pinned entries are kept regardless of the cap
+ * - Missing files are pruned automatically
+ * - Entries are registered with the OS (Dock / Jump List) via app.addRecentDocument
+ *
+ * Entries have the shape { path, pinned, lastOpened }.
+ */
+class RecentFilesManager {
+  /**
+   * @param {Object} storeManager - StoreManager instance
+   * @param {Object} options - Options
+   * @param {number} [options.maxRecent=10] - Maximum unpinned entries
+   */
+  constructor(storeManager, options = {}) {
+    this.storeManager = storeManager;
+    this.maxRecent = options.maxRecent || 10;
+  }
+
+  /**
+   * Get all entries, pinned first, then most recent first
+   * @returns {Array<Object>} Entries
+   */
+  getAll() {
+    const entries = this.storeManager.get('recentFiles', []);
+    return [
+      ...entries.filter(entry => entry.pinned),
+      ...entries.filter(entry => !entry.pinned)
+    ];
+  }
+
+  /**
+   * Record opened files
+   * @param {string|Array<string>} filePaths - File path(s), most recent last
+   * @returns {Array<Object>} Updated entries
+   */
+  add(filePaths) {
+    const paths = (Array.isArray(filePaths) ? filePaths : [filePaths])
+      .filter(filePath => typeof filePath === 'string' && filePath.length > 0);
+
+    if (paths.length === 0) return this.getAll();
+
+    const now = new Date().toISOString();
+    let entries = this.storeManager.get('recentFiles', []);
+
+    paths.forEach(filePath => {
+      const existing = entries.find(entry => entry.path === filePath);
+      entries = entries.filter(entry => entry.path !== filePath);
+      entries.unshift({ path: filePath, pinned: existing ? existing.pinned : false, lastOpened: now });
+
+      try {
+        app.addRecentDocument(filePath);
+      } catch (error) {
+        console.error('Error adding recent document:', error);
+      }
+    });
+
+    return this.save(entries);
+  }
+
+  /**
+   * Pin or unpin an entry
+   * @param {string} filePath - File path
+   * @param {boolean} [pinned=true] - Pin state
+   * @returns {Array<Object>} Updated entries
+   */
+  pin(filePath, pinned = true) {
+    const entries = this.storeManager.get('recentFiles', []);
+    const entry = entries.find(item => item.path === filePath);
+
+    if (!entry) {
+      throw new Error(`Not a recent file: ${filePath}`);
+    }
+
+    entry.pinned = pinned;
+    return this.save(entries);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} filePath - File path
+   * @returns {Array<Object>} Updated entries
+   */
+  remove(filePath) {
+    const entries = this.storeManager.get('recentFiles', []);
+    return this.save(entries.filter(entry => entry.path !== filePath));
+  }
+
+  /**
+   * Remove entries whose files no longer exist
+   * @returns {number} Number of entries removed
+   */
+  prune() {
+    const entries = this.storeManager.get('recentFiles', []);
+    const existing = entries.filter(entry => fs.existsSync(entry.path));
+    const removed = entries.length - existing.length;
+
+    if (removed > 0) {
+      this.storeManager.withoutJournal(() => this.save(existing));
+      console.log(`Pruned ${removed} missing recent file(s)`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Clear recent files
+   * @param {Object} options - Options
+   * @param {boolean} [options.keepPinned=true] - Keep pinned entries
+   */
+  clear(options = {}) {
+    const keepPinned = options.keepPinned !== false;
+    const entries = this.storeManager.get('recentFiles', []);
+
+    const kept = this.save(keepPinned ? entries.filter(entry => entry.pinned) : []);
+
+    try {
+      app.clearRecentDocuments();
+      // The OS list can't drop single entries, so kept ones go back in, oldest first
+      [...kept].reverse().forEach(entry => app.addRecentDocument(entry.path));
+    } catch (error) {
+      console.error('Error clearing recent documents:', error);
+    }
+  }
+
+  /**
+   * Apply the cap and write entries to the store
+   * @param {Array<Object>} entries - Entries, most recent first
+   * @returns {Array<Object>} Saved entries
+   * @private
+   */
+  save(entries) {
+    let unpinned = 0;
+    const kept = entries.filter(entry => entry.pinned || ++unpinned <= this.maxRecent);
+
+    this.storeManager.set('recentFiles', kept);
+    return this.getAll();
+  }
+}
+
+module.exports = RecentFilesManager;
@@ -0,0 +1,211 @@
+/**
+ * Schema Validator
+ *
+ * Lightweight JSON-Schema validator for store values that reports every
+ * failing path instead of a single boolean.
+ *
+ * Supported keywords:
+ * - type (string or array of types, including 'integer' and 'null')
+ * - enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems, uniqueItems
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - minLength, maxLength, pattern
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} path - Dot path of the failing value (e.g. 'userPreferences.fontSize')
+ * @property {string} keyword - Schema keyword that failed
+ * @property {string} message - Human-readable message
+ */
+
+/**
+ * Get the JSON-Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single type name
+ * @param {any} value - Value to check
+ * @param {string} type - JSON-Schema type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Join a parent path and a child key
+ * @param {string} base - Parent path
+ * @param {string|number} key - Child key or index
+ * @returns {string} Dot path
+ */
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to validate
+ * @param {Object} schema - JSON-Schema subset
+ * @param {string} [valuePath=''] - Path of the value, used in error reports
+ * @returns {Array<ValidationError>} Errors, empty if valid
+ */
+function validateSchema(value, schema, valuePath = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  const fail = (keyword, message) => errors.push({ path: valuePath, keyword, message });
+
+  // Type
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      // Further keywords are meaningless for the wrong type
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail('enum', `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  const type = typeOf(value);
+
+  // Numbers
+  if (type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  // Strings
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  // Arrays
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      if (seen.size !== value.length) {
+        fail('uniqueItems', 'must not contain duplicate items');
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, joinPath(valuePath, index)));
+      });
+    }
+  }
+
+  // Objects
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: joinPath(valuePath, name), keyword: 'required', message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(name => {
+      const childPath = joinPath(valuePath, name);
+
+      if (properties[name]) {
+        errors.push(...validateSchema(value[name], properties[name], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, keyword: 'additionalProperties', message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[name], schema.additionalProperties, childPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Find the sub-schema that applies to a dot path below a schema
+ * @param {Object} schema - Root schema
+ * @param {Array<string>} parts - Remaining path parts
+ * @returns {Object|null} Sub-schema, or null if the path isn't described
+ */
+function resolvePath(schema, parts) {
+  let current = schema;
+
+  for (const part of parts) {
+    if (!current) return null;
+
+    if (current.properties && current.properties[part]) {
+      current = current.properties[part];
+    } else if (current.items && /^\d+$/.test(part)) {
+      current = current.items;
+    } else if (current.additionalProperties && typeof current.additionalProperties === 'object') {
+      current = current.additionalProperties;
+    } else {
+      return null;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Create an error describing rejected values
+ * @param {Array<ValidationError>} errors - Validation errors
+ * @returns {Error} Error with code ERR_VALIDATION and `errors`
+ */
+function validationError(errors) {
+  const summary = errors.map(e => `${e.path} ${e.message}`).join('; ');
+  const error = new Error(`Validation failed: ${summary}`);
+  error.code = 'ERR_VALIDATION';
+  error.errors = errors;
+  return error;
+}
+
+module.exports = {
+  validateSchema,
+  resolvePath,
+  validationError
+};
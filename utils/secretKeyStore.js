@@ -0,0 +1,210 @@
+const { safeStorage } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Secret Key Store
+ *
+ * Persists the AES key used to encrypt store secrets so they stay readable
+ * across restarts.
+ *
+ * Features:
+ * - Key wrapped with Electron safeStorage (OS keychain / DPAPI / libsecret)
+ * - Plain-file fallback when no secure backend exists (headless Linux, CI)
+ * - Crash-safe key rotation (previous key kept until rotation completes)
+ * - Atomic writes with owner-only permissions
+ */
+
+const KEY_FILE_VERSION = 1;
+const KEY_LENGTH = 32;
+
+class SecretKeyStore {
+  /**
+   * @param {string} filePath - Path of the key file
+   * @param {Object} options - Options
+   * @param {boolean} [options.useSafeStorage=true] - Wrap the key with safeStorage when available
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.useSafeStorage = options.useSafeStorage !== false;
+
+    // Loaded lazily: safeStorage is only usable once the app is ready
+    this.currentKey = null;
+    this.previousKey = null;
+    this.protection = null;
+  }
+
+  /**
+   * Check if safeStorage can protect the key on this system
+   * @returns {boolean} True if a real OS-backed encryption backend is available
+   */
+  isSafeStorageAvailable() {
+    if (!this.useSafeStorage || !safeStorage) return false;
+
+    try {
+      if (!safeStorage.isEncryptionAvailable()) return false;
+
+      // 'basic_text' is a hardcoded password, no better than the plain file
+      if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the active key, loading or generating it on first use
+   * @returns {Buffer} Current encryption key
+   */
+  getKey() {
+    this.load();
+    return this.currentKey;
+  }
+
+  /**
+   * Get all keys that may decrypt existing secrets, newest first
+   * @returns {Array<Buffer>} Candidate keys
+   */
+  getDecryptionKeys() {
+    this.load();
+    return this.previousKey ? [this.currentKey, this.previousKey] : [this.currentKey];
+  }
+
+  /**
+   * Load the key file, generating a new key if none exists
+   * @private
+   */
+  load() {
+    if (this.currentKey) return;
+
+    if (!fs.existsSync(this.filePath)) {
+      this.currentKey = crypto.randomBytes(KEY_LENGTH);
+      this.previousKey = null;
+      this.write();
+      console.log(`Secret key generated (${this.protection})`);
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Never silently regenerate: that would orphan every stored secret
+      throw new Error(`Secret key file is unreadable: ${error.message}`);
+    }
+
+    this.currentKey = this.unwrap(data.key, data.protection);
+    this.previousKey = data.previousKey ? this.unwrap(data.previousKey, data.protection) : null;
+    this.protection = data.protection;
+
+    // Upgrade a plain key once a secure backend becomes available
+    if (data.protection === 'plain' && this.isSafeStorageAvailable()) {
+      this.write();
+      console.log('Secret key re-wrapped with safeStorage');
+    }
+  }
+
+  /**
+   * Start a key rotation: a new key becomes current, the old one is kept as fallback
+   * @returns {Buffer} The new key
+   */
+  beginRotation() {
+    this.load();
+    this.previousKey = this.currentKey;
+    this.currentKey = crypto.randomBytes(KEY_LENGTH);
+    this.write();
+    return this.currentKey;
+  }
+
+  /**
+   * Finish a key rotation by dropping the previous key
+   */
+  completeRotation() {
+    this.previousKey = null;
+    this.write();
+  }
+
+  /**
+   * Get key protection info
+   * @returns {Object} Protection details
+   */
+  getInfo() {
+    return {
+      path: this.filePath,
+      loaded: this.currentKey !== null,
+      protection: this.protection,
+      rotationPending: this.previousKey !== null
+    };
+  }
+
+  /**
+   * Wrap a key for storage
+   * @param {Buffer} key - Raw key
+   * @returns {string} Base64 encoded wrapped key
+   * @private
+   */
+  wrap(key) {
+    if (this.protection === 'safeStorage') {
+      return safeStorage.encryptString(key.toString('hex')).toString('base64');
+    }
+    return key.toString('base64');
+  }
+
+  /**
+   * Unwrap a stored key
+   * @param {string} value - Base64 encoded wrapped key
+   * @param {string} protection - 'safeStorage' or 'plain'
+   * @returns {Buffer} Raw key
+   * @private
+   */
+  unwrap(value, protection) {
+    let key;
+
+    if (protection === 'safeStorage') {
+      if (!this.isSafeStorageAvailable()) {
+        throw new Error('Secret key is protected by safeStorage, which is not available');
+      }
+      key = Buffer.from(safeStorage.decryptString(Buffer.from(value, 'base64')), 'hex');
+    } else if (protection === 'plain') {
+      key = Buffer.from(value, 'base64');
+    } else {
+      throw new Error(`Unknown secret key protection: ${protection}`);
+    }
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error('Secret key file contains an invalid key');
+    }
+
+    return key;
+  }
+
+  /**
+   * Atomically write the key file
+   * @private
+   */
+  write() {
+    this.protection = this.isSafeStorageAvailable() ? 'safeStorage' : 'plain';
+
+    const data = {
+      version: KEY_FILE_VERSION,
+      protection: this.protection,
+      key: this.wrap(this.currentKey)
+    };
+
+    if (this.previousKey) {
+      data.previousKey = this.wrap(this.previousKey);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = SecretKeyStore;
@@ -32,7 +32,7 @@ class ShortcutManager extends EventEmitter {
       },
       'capture-clipboard': {
         accelerator: 'CommandOrControl+Alt+C',
-        description: 'Capture clipboard content',
+        description: 'Save clipboard as a snippet',
         action: 'capture-clipboard',
         enabled: true
       },
@@ -47,6 +47,12 @@ class ShortcutManager extends EventEmitter {
         description: 'Quick search',
         action: 'quick-search',
         enabled: true
+      },
+      'paste-stack-next': {
+        accelerator: 'CommandOrControl+Alt+V',
+        description: 'Load next item from the paste stack',
+        action: 'paste-stack-next',
+        enabled: true
       }
     };
 
@@ -70,7 +76,8 @@ class ShortcutManager extends EventEmitter {
     // Load saved shortcuts or use defaults
     // Check if savedShortcuts is an empty object or null
     const isEmptyObject = savedShortcuts && typeof savedShortcuts === 'object' && Object.keys(savedShortcuts).length === 0;
-    const shortcuts = (savedShortcuts && !isEmptyObject) ? savedShortcuts : this.defaults;
+    // Defaults added since the configuration was saved are registered too
+    const shortcuts = (savedShortcuts && !isEmptyObject) ? { ...this.defaults, ...savedShortcuts } : this.defaults;
 
     console.log('Using shortcuts config:', shortcuts);
     console.log('Number of shortcuts to register:', Object.keys(shortcuts).length);
@@ -218,6 +225,22 @@ class ShortcutManager extends EventEmitter {
     }
   }
 
+  /**
+   * Unregister a shortcut and forget it entirely
+   * Used for shortcuts bound to items that no longer exist (e.g. deleted snippets).
+   * @param {string} id - Shortcut identifier
+   * @returns {Object} Result object
+   */
+  remove(id) {
+    const result = this.unregister(id);
+
+    if (result.success) {
+      this.shortcuts.delete(id);
+    }
+
+    return result;
+  }
+
   /**
    * Unregister all shortcuts
    */
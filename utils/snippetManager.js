@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+
+/**
+ * Snippet Manager
+ *
+ * Named text/HTML snippets kept in the store (`snippets`), expanded into the
+ * clipboard through ClipboardManager.
+ *
+ * Features:
+ * - Create, update, delete, import and export snippets
+ * - Placeholders expanded at paste time:
+ *   {date}, {time}, {clipboard} (current clipboard text), {uuid} and
+ *   {input:Prompt} (value supplied by the user)
+ * - HTML snippets get HTML-escaped placeholder values and a plain-text fallback
+ *
+ * Snippets have the shape { id, name, type: 'text'|'html', content, description, createdAt, updatedAt }.
+ */
+
+const EXPORT_FORMAT = 'electron-feature-explorer-snippets';
+const EXPORT_VERSION = 1;
+const TYPES = ['text', 'html'];
+const PLACEHOLDER = /\{(date|time|clipboard|uuid|input:([^{}]+))\}/g;
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Create an error for missing {input:...} values
+ * @param {Array<string>} prompts - Prompts without a value
+ * @returns {Error} Error with code ERR_SNIPPET_INPUT and `prompts`
+ */
+function inputError(prompts) {
+  const error = new Error(`Snippet needs input: ${prompts.join(', ')}`);
+  error.code = 'ERR_SNIPPET_INPUT';
+  error.prompts = prompts;
+  return error;
+}
+
+class SnippetManager {
+  /**
+   * @param {Object} storeManager - StoreManager instance
+   * @param {Object} clipboardManager - ClipboardManager instance
+   */
+  constructor(storeManager, clipboardManager) {
+    this.storeManager = storeManager;
+    this.clipboardManager = clipboardManager;
+  }
+
+  /**
+   * Get all snippets, sorted by name
+   * @returns {Array<Object>} Snippets
+   */
+  getAll() {
+    return [...this.storeManager.get('snippets', [])]
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a snippet
+   * @param {string} id - Snippet ID
+   * @returns {Object|null} Snippet
+   */
+  get(id) {
+    return this.storeManager.get('snippets', []).find(snippet => snippet.id === id) || null;
+  }
+
+  /**
+   * Create a snippet
+   * @param {Object} data - { name, type, content, description }
+   * @returns {Object} Created snippet
+   */
+  create(data) {
+    const snippets = this.storeManager.get('snippets', []);
+    const now = new Date().toISOString();
+    const snippet = this.normalize({ type: 'text', description: '', ...data }, snippets);
+
+    snippet.id = crypto.randomUUID();
+    snippet.createdAt = now;
+    snippet.updatedAt = now;
+
+    this.storeManager.set('snippets', [...snippets, snippet]);
+    return snippet;
+  }
+
+  /**
+   * Update a snippet
+   * @param {string} id - Snippet ID
+   * @param {Object} changes - { name, type, content, description }
+   * @returns {Object} Updated snippet
+   */
+  update(id, changes) {
+    const snippets = this.storeManager.get('snippets', []);
+    const index = snippets.findIndex(snippet => snippet.id === id);
+
+    if (index === -1) {
+      throw new Error(`Snippet not found: ${id}`);
+    }
+
+    const others = snippets.filter(snippet => snippet.id !== id);
+    const updated = {
+      ...this.normalize({ ...snippets[index], ...changes }, others),
+      id,
+      createdAt: snippets[index].createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    snippets[index] = updated;
+    this.storeManager.set('snippets', snippets);
+    return updated;
+  }
+
+  /**
+   * Delete a snippet
+   * @param {string} id - Snippet ID
+   * @returns {boolean} True if it existed
+   */
+  delete(id) {
+    const snippets = this.storeManager.get('snippets', []);
+    const remaining = snippets.filter(snippet => snippet.id !== id);
+
+    if (remaining.length === snippets.length) return false;
+
+    this.storeManager.set('snippets', remaining);
+    return true;
+  }
+
+  /**
+   * List the {input:...} prompts of a snippet
+   * @param {Object} snippet - Snippet
+   * @returns {Array<string>} Unique prompts, in order of appearance
+   */
+  getPrompts(snippet) {
+    const prompts = [];
+    for (const match of snippet.content.matchAll(PLACEHOLDER)) {
+      if (match[2] && !prompts.includes(match[2])) prompts.push(match[2]);
+    }
+    return prompts;
+  }
+
+  /**
+   * Expand a snippet's placeholders
+   * @param {string} id - Snippet ID
+   * @param {Object} inputs - Values for {input:Prompt} placeholders, keyed by prompt
+   * @returns {Object} { text, html? } expanded content
+   * @throws {Error} ERR_SNIPPET_INPUT with `prompts` if inputs are missing
+   */
+  render(id, inputs = {}) {
+    const snippet = this.get(id);
+    if (!snippet) {
+      throw new Error(`Snippet not found: ${id}`);
+    }
+
+    const missing = this.getPrompts(snippet).filter(prompt => typeof inputs[prompt] !== 'string');
+    if (missing.length > 0) {
+      throw inputError(missing);
+    }
+
+    const now = new Date();
+    const clipboardText = snippet.content.includes('{clipboard}') ? this.clipboardManager.readText() : '';
+    const escape = snippet.type === 'html' ? escapeHTML : value => value;
+
+    const content = snippet.content.replace(PLACEHOLDER, (match, name, prompt) => {
+      if (prompt) return escape(inputs[prompt]);
+
+      switch (name) {
+        case 'date': return escape(now.toLocaleDateString());
+        case 'time': return escape(now.toLocaleTimeString());
+        case 'clipboard': return escape(clipboardText);
+        case 'uuid': return crypto.randomUUID();
+        default: return match;
+      }
+    });
+
+    if (snippet.type === 'html') {
+      const text = content.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+      return { text, html: content };
+    }
+
+    return { text: content };
+  }
+
+  /**
+   * Expand a snippet into the clipboard
+   * @param {string} id - Snippet ID
+   * @param {Object} inputs - Values for {input:Prompt} placeholders
+   * @returns {Object} { text, html? } written to the clipboard
+   */
+  expand(id, inputs = {}) {
+    const result = this.render(id, inputs);
+
+    if (result.html) {
+      this.clipboardManager.writeMultiple(result);
+    } else {
+      this.clipboardManager.writeText(result.text);
+    }
+
+    return result;
+  }
+
+  /**
+   * Export snippets as JSON
+   * @returns {string} Export document
+   */
+  export() {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      snippets: this.getAll().map(({ name, type, content, description }) => ({ name, type, content, description }))
+    }, null, 2);
+  }
+
+  /**
+   * Import snippets
+   * Accepts an export document or a plain array. When merging, a snippet
+   * with the same name as an existing one replaces its content.
+   * @param {string|Object|Array} data - JSON string, export document or array
+   * @param {Object} options - Options
+   * @param {boolean} [options.merge=true] - Merge into existing snippets instead of replacing them
+   * @returns {Object} { added, updated }
+   */
+  import(data, options = {}) {
+    const merge = options.merge !== false;
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const incoming = Array.isArray(parsed) ? parsed : parsed && parsed.snippets;
+
+    if (!Array.isArray(incoming)) {
+      throw new Error('Not a snippet export');
+    }
+    if (parsed.format && parsed.format !== EXPORT_FORMAT) {
+      throw new Error('Not a snippet export');
+    }
+
+    const snippets = merge ? [...this.storeManager.get('snippets', [])] : [];
+    const now = new Date().toISOString();
+    let added = 0;
+    let updated = 0;
+
+    incoming.forEach(item => {
+      const index = snippets.findIndex(snippet => snippet.name === item.name);
+      const others = index === -1 ? snippets : snippets.filter((snippet, i) => i !== index);
+      const normalized = this.normalize({ type: 'text', description: '', ...item }, others);
+
+      if (index === -1) {
+        snippets.push({ ...normalized, id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+        added++;
+      } else {
+        snippets[index] = { ...snippets[index], ...normalized, updatedAt: now };
+        updated++;
+      }
+    });
+
+    this.storeManager.set('snippets', snippets);
+    return { added, updated };
+  }
+
+  /**
+   * Check and clean snippet fields
+   * @param {Object} data - Snippet fields
+   * @param {Array<Object>} others - Other snippets, for the unique-name check
+   * @returns {Object} { name, type, content, description }
+   * @private
+   */
+  normalize(data, others) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+
+    if (!name) {
+      throw new Error('Snippet name is required');
+    }
+    if (others.some(snippet => snippet.name === name)) {
+      throw new Error(`A snippet named "${name}" already exists`);
+    }
+    if (!TYPES.includes(data.type)) {
+      throw new Error(`Snippet type must be one of: ${TYPES.join(', ')}`);
+    }
+    if (typeof data.content !== 'string') {
+      throw new Error('Snippet content must be a string');
+    }
+
+    return {
+      name,
+      type: data.type,
+      content: data.content,
+      description: typeof data.description === 'string' ? data.description : ''
+    };
+  }
+}
+
+module.exports = SnippetManager;
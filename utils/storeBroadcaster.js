@@ -0,0 +1,166 @@
+/**
+ * Store Broadcaster
+ *
+ * Pushes store changes to subscribed renderers (main window, BrowserView tabs,
+ * settings, notes) as `store:changed` events.
+ *
+ * Features:
+ * - Per-webContents pattern subscriptions (`theme`, `windowState.*`, `userPreferences.**`)
+ * - One event per change per renderer, even with overlapping patterns
+ * - Transactions arrive as one batched event holding the matching changes
+ * - Automatic cleanup when a webContents is destroyed
+ * - Secret values are never sent to renderers
+ */
+
+class StoreBroadcaster {
+  /**
+   * @param {Object} storeManager - StoreManager instance
+   */
+  constructor(storeManager) {
+    this.storeManager = storeManager;
+
+    // Subscribers: webContents.id => { webContents, patterns: Set<string> }
+    this.subscribers = new Map();
+
+    // Statistics
+    this.stats = {
+      totalBroadcast: 0,
+      totalSent: 0
+    };
+
+    this.unwatch = storeManager.watch('**', (value, key, change) => this.broadcast(change));
+  }
+
+  /**
+   * Subscribe a renderer to a key pattern
+   * @param {import('electron').WebContents} webContents - Subscribing renderer
+   * @param {string} pattern - Key pattern
+   * @returns {Array<string>} All patterns the renderer is subscribed to
+   */
+  subscribe(webContents, pattern) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error('Pattern must be a non-empty string');
+    }
+
+    let entry = this.subscribers.get(webContents.id);
+
+    if (!entry) {
+      entry = { webContents, patterns: new Set() };
+      this.subscribers.set(webContents.id, entry);
+
+      const id = webContents.id;
+      webContents.once('destroyed', () => {
+        this.subscribers.delete(id);
+        console.log(`Store subscriptions removed for destroyed webContents ${id}`);
+      });
+    }
+
+    entry.patterns.add(pattern);
+    return Array.from(entry.patterns);
+  }
+
+  /**
+   * Unsubscribe a renderer from a pattern, or from everything
+   * @param {import('electron').WebContents} webContents - Renderer
+   * @param {string} [pattern] - Pattern to remove (all if omitted)
+   * @returns {Array<string>} Remaining patterns
+   */
+  unsubscribe(webContents, pattern) {
+    const entry = this.subscribers.get(webContents.id);
+    if (!entry) return [];
+
+    if (pattern) {
+      entry.patterns.delete(pattern);
+    } else {
+      entry.patterns.clear();
+    }
+
+    if (entry.patterns.size === 0) {
+      this.subscribers.delete(webContents.id);
+      return [];
+    }
+
+    return Array.from(entry.patterns);
+  }
+
+  /**
+   * Send a change to every renderer with a matching subscription
+   * @param {Object} change - { key, value, previousValue, timestamp } or a transaction batch
+   * @private
+   */
+  broadcast(change) {
+    this.stats.totalBroadcast++;
+
+    for (const [id, entry] of this.subscribers.entries()) {
+      if (entry.webContents.isDestroyed()) {
+        this.subscribers.delete(id);
+        continue;
+      }
+
+      const payload = this.buildPayload(change, entry.patterns);
+      if (!payload) continue;
+
+      try {
+        entry.webContents.send('store:changed', payload);
+        this.stats.totalSent++;
+      } catch (error) {
+        console.error(`Error sending store change to webContents ${id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the payload for one renderer, or null if none of its patterns match
+   * A batch is narrowed down to the changes the renderer subscribed to.
+   * @param {Object} change - Change record or batch
+   * @param {Set<string>} patterns - Renderer's patterns
+   * @returns {Object|null} Payload
+   * @private
+   */
+  buildPayload(change, patterns) {
+    const matches = item => Array.from(patterns).some(pattern => this.storeManager.matchesPattern(pattern, item.key));
+
+    if (change.batch) {
+      const changes = change.changes.filter(matches);
+      return changes.length > 0 ? { ...change, changes: changes.map(item => this.sanitize(item)) } : null;
+    }
+
+    return matches(change) ? this.sanitize(change) : null;
+  }
+
+  /**
+   * Strip values that must not leave the main process
+   * @param {Object} change - Change record
+   * @returns {Object} Payload safe to send to renderers
+   * @private
+   */
+  sanitize(change) {
+    if (change.key === 'secrets' || change.key.startsWith('secrets.')) {
+      const { value, previousValue, ...rest } = change;
+      return { ...rest, secret: true };
+    }
+    return change;
+  }
+
+  /**
+   * Get broadcaster statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      subscribers: this.subscribers.size,
+      patterns: Array.from(this.subscribers.values()).reduce((sum, entry) => sum + entry.patterns.size, 0)
+    };
+  }
+
+  /**
+   * Cleanup - stop watching the store and drop all subscriptions
+   */
+  cleanup() {
+    this.unwatch();
+    this.subscribers.clear();
+  }
+}
+
+module.exports = StoreBroadcaster;
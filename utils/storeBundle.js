@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Store Bundle
+ *
+ * Passphrase-protected, portable export format for the store.
+ *
+ * A bundle is a JSON document holding:
+ * - the store data (without secrets) and its schema version
+ * - the secrets, decrypted from the local key and re-encrypted with a key
+ *   derived from the passphrase (scrypt + AES-256-GCM)
+ * - a SHA-256 checksum of the data, also bound to the secrets as GCM
+ *   additional data so the two can't be swapped or edited independently
+ *
+ * Unlike the local secret key, the passphrase works on any machine.
+ */
+
+const BUNDLE_FORMAT = 'electron-feature-explorer-store';
+const BUNDLE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// scrypt cost parameters, recorded in each bundle. Imports only accept these
+// exact values: the cost comes from the file, and a crafted N or r could make
+// scrypt allocate gigabytes. Raising them later means accepting both sets.
+const KDF_PARAMS = { N: 32768, r: 8, p: 1, keyLength: 32 };
+
+/**
+ * Create an error with a code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with `code`
+ */
+function bundleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Derive the bundle key from a passphrase
+ * Runs on the libuv thread pool, so the main process stays responsive.
+ * @param {string} passphrase - User passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - { N, r, p, keyLength }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(passphrase, salt, params) {
+  return scrypt(passphrase, salt, params.keyLength, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r
+  });
+}
+
+/**
+ * Checksum of the bundled data
+ * @param {Object} data - Store data
+ * @param {number} schemaVersion - Schema version of the data
+ * @returns {string} Hex SHA-256
+ */
+function checksum(data, schemaVersion) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ schemaVersion, data }))
+    .digest('hex');
+}
+
+/**
+ * Throw unless the passphrase is usable
+ * @param {string} passphrase - Passphrase to check
+ */
+function assertPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw bundleError('ERR_BUNDLE_PASSPHRASE', `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Build an encrypted bundle
+ * @param {Object} data - Store data without secrets
+ * @param {Object} secrets - Plaintext secrets (name => value)
+ * @param {number} schemaVersion - Schema version of the data
+ * @param {string} passphrase - Passphrase protecting the secrets
+ * @returns {Promise<string>} Bundle JSON
+ */
+async function createBundle(data, secrets, schemaVersion, passphrase) {
+  assertPassphrase(passphrase);
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt, KDF_PARAMS);
+  const sum = checksum(data, schemaVersion);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(sum, 'hex'));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion,
+    checksum: sum,
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    data,
+    secrets: ciphertext.toString('base64')
+  };
+
+  return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Verify and decrypt a bundle
+ * @param {string} bundleString - Bundle JSON
+ * @param {string} passphrase - Passphrase used on export
+ * @returns {Promise<Object>} { data, secrets, schemaVersion, createdAt }
+ * @throws {Error} ERR_BUNDLE_FORMAT, ERR_BUNDLE_CHECKSUM or ERR_BUNDLE_PASSPHRASE
+ */
+async function openBundle(bundleString, passphrase) {
+  let bundle;
+  try {
+    bundle = JSON.parse(bundleString);
+  } catch (error) {
+    throw bundleError('ERR_BUNDLE_FORMAT', 'Bundle is not valid JSON');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw bundleError('ERR_BUNDLE_FORMAT', 'Not an encrypted store bundle');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw bundleError('ERR_BUNDLE_FORMAT', `Bundle version ${bundle.version} is newer than supported (${BUNDLE_VERSION})`);
+  }
+  if (!bundle.kdf || bundle.kdf.name !== 'scrypt' || !bundle.cipher || bundle.cipher.name !== 'aes-256-gcm') {
+    throw bundleError('ERR_BUNDLE_FORMAT', 'Unsupported bundle encryption');
+  }
+  if (['N', 'r', 'p', 'keyLength'].some(param => bundle.kdf[param] !== KDF_PARAMS[param])) {
+    throw bundleError('ERR_BUNDLE_FORMAT', 'Unsupported bundle key derivation parameters');
+  }
+
+  if (checksum(bundle.data, bundle.schemaVersion) !== bundle.checksum) {
+    throw bundleError('ERR_BUNDLE_CHECKSUM', 'Bundle checksum mismatch (file is corrupted or was edited)');
+  }
+
+  let secrets;
+  try {
+    const key = await deriveKey(passphrase, Buffer.from(bundle.kdf.salt, 'base64'), KDF_PARAMS);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.cipher.iv, 'base64'));
+    decipher.setAAD(Buffer.from(bundle.checksum, 'hex'));
+    decipher.setAuthTag(Buffer.from(bundle.cipher.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(bundle.secrets, 'base64')), decipher.final()]);
+    secrets = JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw bundleError('ERR_BUNDLE_PASSPHRASE', 'Wrong passphrase or tampered bundle');
+  }
+
+  return {
+    data: bundle.data,
+    secrets,
+    schemaVersion: bundle.schemaVersion,
+    createdAt: bundle.createdAt
+  };
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  createBundle,
+  openBundle
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store Journal
+ *
+ * Append-only log of store mutations, used for history and undo/redo.
+ *
+ * Features:
+ * - One entry per mutation (set, delete, clear, reset, import, transaction, ...)
+ * - Previous and new value of every changed key
+ * - Origin of the change (IPC channel and window, or 'main')
+ * - Undo and redo are journaled too, so the undo/redo stacks survive restarts
+ * - Secret changes are recorded as "changed" only, without values
+ *
+ * Entries are stored as JSON lines in `<store>.journal.jsonl` next to the
+ * store file. When the file grows past twice the retention limit the oldest
+ * entries are dropped.
+ */
+
+class StoreJournal {
+  /**
+   * @param {string} storePath - Store file path
+   * @param {Object} options - Options
+   * @param {number} [options.maxEntries=500] - Entries to keep
+   */
+  constructor(storePath, options = {}) {
+    this.filePath = path.join(path.dirname(storePath), `${path.basename(storePath, '.json')}.journal.jsonl`);
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = null; // Loaded lazily
+    this.nextId = 1;
+    this.stacks = null; // Undo/redo stacks, built on first use and kept up to date
+  }
+
+  /**
+   * Load entries from disk (once)
+   * @private
+   */
+  load() {
+    if (this.entries) return;
+
+    this.entries = [];
+
+    if (fs.existsSync(this.filePath)) {
+      fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch (error) {
+          // A torn final line from a crash is skipped
+          console.warn('Skipping unreadable journal line');
+        }
+      });
+    }
+
+    if (this.entries.length > 0) {
+      this.nextId = this.entries[this.entries.length - 1].id + 1;
+    }
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - { operation, source, changes, undoOf?, redoOf? }
+   * @returns {Object} Stored entry with id and timestamp
+   */
+  append(entry) {
+    this.load();
+
+    const stored = {
+      id: this.nextId++,
+      timestamp: new Date().toISOString(),
+      ...entry,
+      changes: entry.changes.map(change => this.sanitize(change))
+    };
+
+    this.entries.push(stored);
+    if (this.stacks) {
+      this.applyToStacks(this.stacks, stored);
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(stored) + '\n');
+
+      if (this.entries.length > this.maxEntries * 2) {
+        this.compact();
+      }
+    } catch (error) {
+      console.error('Error writing store journal:', error);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Drop secret values from a change
+   * @param {Object} change - { key, value, previousValue }
+   * @returns {Object} Change safe to persist
+   * @private
+   */
+  sanitize(change) {
+    if (change.key === 'secrets' || change.key.startsWith('secrets.')) {
+      return { key: change.key, secret: true };
+    }
+    return { key: change.key, value: change.value, previousValue: change.previousValue };
+  }
+
+  /**
+   * Keep only the newest entries
+   * @private
+   */
+  compact() {
+    this.entries = this.entries.slice(-this.maxEntries);
+    // Trimmed entries can no longer be undone; rebuild on next use
+    this.stacks = null;
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, this.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Get what can be undone and redone
+   * Built by replaying the journal once, then updated as entries are appended.
+   * @returns {Object} { undo: Array<number>, redo: Array<number> } entry IDs, last is next
+   * @private
+   */
+  getStacks() {
+    this.load();
+
+    if (!this.stacks) {
+      this.stacks = { undo: [], redo: [] };
+      this.entries.forEach(entry => this.applyToStacks(this.stacks, entry));
+    }
+
+    return this.stacks;
+  }
+
+  /**
+   * Update undo/redo stacks with one entry
+   * @param {Object} stacks - { undo, redo }, modified in place
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  applyToStacks({ undo, redo }, entry) {
+    if (entry.undoOf) {
+      // Entries trimmed by compaction can no longer be referenced
+      const index = undo.lastIndexOf(entry.undoOf);
+      if (index !== -1) {
+        undo.splice(index, 1);
+        redo.push(entry.undoOf);
+      }
+    } else if (entry.redoOf) {
+      const index = redo.lastIndexOf(entry.redoOf);
+      if (index !== -1) {
+        redo.splice(index, 1);
+        undo.push(entry.redoOf);
+      }
+    } else if (this.isUndoable(entry)) {
+      undo.push(entry.id);
+      // A new change invalidates everything that was undone
+      redo.length = 0;
+    }
+  }
+
+  /**
+   * Check if an entry has anything undo can restore
+   * @param {Object} entry - Journal entry
+   * @returns {boolean} True if at least one non-secret change
+   * @private
+   */
+  isUndoable(entry) {
+    return entry.changes.some(change => !change.secret);
+  }
+
+  /**
+   * Get an entry by ID
+   * @param {number} id - Entry ID
+   * @returns {Object|null} Entry
+   */
+  get(id) {
+    this.load();
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Get the entry the next undo would revert
+   * @returns {Object|null} Entry
+   */
+  peekUndo() {
+    const { undo } = this.getStacks();
+    return undo.length > 0 ? this.get(undo[undo.length - 1]) : null;
+  }
+
+  /**
+   * Get the entry the next redo would re-apply
+   * @returns {Object|null} Entry
+   */
+  peekRedo() {
+    const { redo } = this.getStacks();
+    return redo.length > 0 ? this.get(redo[redo.length - 1]) : null;
+  }
+
+  /**
+   * List entries, newest first
+   * @param {number} [limit=100] - Maximum entries
+   * @returns {Array<Object>} Entries
+   */
+  list(limit = 100) {
+    this.load();
+    return limit > 0 ? this.entries.slice(-limit).reverse() : [];
+  }
+}
+
+module.exports = StoreJournal;
@@ -1,23 +1,48 @@
+const { app } = require('electron');
 const Store = require('electron-store').default || require('electron-store');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const SecretKeyStore = require('./secretKeyStore');
+const profileManager = require('./profileManager');
+const StoreSnapshots = require('./storeSnapshots');
+const StoreJournal = require('./storeJournal');
+const { createBundle, openBundle } = require('./storeBundle');
+const { validateSchema, resolvePath, validationError } = require('./schemaValidator');
+const {
+  CURRENT_SCHEMA_VERSION,
+  applyMigrations,
+  diffKeys,
+  getPath: getValueAtPath,
+  setPath: setValueAtPath,
+  deletePath: deleteValueAtPath,
+  fileTimestamp,
+  migrateStoreFile
+} = require('./storeMigrations');
 
 /**
  * Store Manager for Persistent Storage
  *
  * Features:
- * - Schema validation
+ * - Schema validation with per-path errors (see schemaValidator.js)
  * - Default values
- * - Encryption for sensitive data
- * - Change watching
- * - Import/Export
- * - Migrations
+ * - Encryption for sensitive data (AES-256-GCM, persistent key)
+ * - Change watching with dot-path and wildcard patterns
+ * - Atomic multi-key transactions with a single batched change event
+ * - Change journal with undo/redo (see storeJournal.js)
+ * - Reloads external edits of the store file, quarantining invalid ones
+ * - Import/Export, including passphrase-protected portable bundles (see storeBundle.js)
+ * - Point-in-time snapshots with retention (see storeSnapshots.js)
+ * - Versioned migrations with backup and rollback (see storeMigrations.js)
+ * - Named profiles, one store file each (see profileManager.js)
  */
 
 // Define the schema for validation
 const schema = {
   theme: {
     type: 'string',
-    enum: ['dark', 'light'],
+    enum: ['dark', 'light', 'auto'],
     default: 'dark'
   },
   notifications: {
@@ -28,25 +53,184 @@ const schema = {
     type: 'boolean',
     default: false
   },
-  windowBounds: {
+  // Per-window-type bounds, written by WindowManager
+  windowState: {
     type: 'object',
-    properties: {
-      x: { type: 'number' },
-      y: { type: 'number' },
-      width: { type: 'number' },
-      height: { type: 'number' }
-    },
-    default: { x: 0, y: 0, width: 1200, height: 800 }
+    default: {}
+  },
+  // Global shortcut configuration, written by ShortcutManager
+  shortcuts: {
+    type: 'object',
+    default: {}
   },
+  // Recently opened files, managed by RecentFilesManager
   recentFiles: {
     type: 'array',
-    items: { type: 'string' },
+    items: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', minLength: 1 },
+        pinned: { type: 'boolean' },
+        lastOpened: { type: ['string', 'null'] }
+      },
+      required: ['path']
+    },
     default: []
   },
   userPreferences: {
     type: 'object',
     default: {}
   },
+  // Snapshot retention and schedule
+  snapshotSettings: {
+    type: 'object',
+    properties: {
+      maxCount: { type: 'integer', minimum: 1 },
+      maxAgeDays: { type: 'number', minimum: 0 },
+      intervalMinutes: { type: 'number', minimum: 0 }
+    },
+    default: { maxCount: 20, maxAgeDays: 30, intervalMinutes: 60 }
+  },
+  // Snippet library, managed by SnippetManager
+  snippets: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string', enum: ['text', 'html'] },
+        content: { type: 'string' },
+        description: { type: 'string' },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' }
+      },
+      required: ['id', 'name', 'type', 'content']
+    },
+    default: []
+  },
+  // Scheduled and recurring notifications, managed by NotificationScheduler
+  notificationSchedules: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        notification: {
+          type: 'object',
+          properties: { title: { type: 'string', minLength: 1 } },
+          required: ['title']
+        },
+        at: { type: ['string', 'null'] },
+        cron: { type: ['string', 'null'] },
+        catchUp: { type: 'string', enum: ['latest', 'all', 'skip'] },
+        snoozed: { type: 'boolean' },
+        fireCount: { type: 'integer', minimum: 0 },
+        missedCount: { type: 'integer', minimum: 0 }
+      },
+      required: ['id', 'notification', 'at']
+    },
+    default: []
+  },
+  // Automatic Do Not Disturb, applied by DoNotDisturbScheduler
+  doNotDisturb: {
+    type: 'object',
+    properties: {
+      quietHoursEnabled: { type: 'boolean' },
+      quietHours: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            days: {
+              type: 'array',
+              items: { type: 'integer', minimum: 0, maximum: 6 },
+              minItems: 1,
+              uniqueItems: true
+            },
+            start: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+            end: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' }
+          },
+          required: ['days', 'start', 'end']
+        }
+      },
+      whenLocked: { type: 'boolean' },
+      whenFullscreen: { type: 'boolean' },
+      digest: { type: 'boolean' }
+    },
+    default: { quietHoursEnabled: false, quietHours: [], whenLocked: false, whenFullscreen: false, digest: true }
+  },
+  // What happens to notifications during DND, applied by NotificationManager (first match wins)
+  notificationRules: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        enabled: { type: 'boolean' },
+        priority: {
+          type: 'array',
+          items: { type: 'string', enum: ['low', 'normal', 'high', 'critical'] },
+          uniqueItems: true
+        },
+        minPriority: { type: 'string', enum: ['low', 'normal', 'high', 'critical'] },
+        category: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          uniqueItems: true
+        },
+        action: { type: 'string', enum: ['deliver', 'queue', 'drop'] }
+      },
+      required: ['name', 'action']
+    },
+    default: [
+      { name: 'Critical always breaks through', enabled: true, priority: ['critical'], action: 'deliver' }
+    ]
+  },
+  // Notification flood protection, applied by NotificationManager
+  notificationThrottle: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      maxPerSource: { type: 'integer', minimum: 1 },
+      perSeconds: { type: 'number', minimum: 1 },
+      dedupeSeconds: { type: 'number', minimum: 0 }
+    },
+    default: { enabled: true, maxPerSource: 5, perSeconds: 10, dedupeSeconds: 10 }
+  },
+  // In-app toasts, applied by ToastCenter
+  toastSettings: {
+    type: 'object',
+    properties: {
+      preferToasts: { type: 'boolean' },
+      position: { type: 'string', enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right'] },
+      timeoutSeconds: { type: 'number', minimum: 1 }
+    },
+    default: { preferToasts: false, position: 'bottom-right', timeoutSeconds: 6 }
+  },
+  // Clipboard history persistence and retention, applied by ClipboardManager
+  clipboardSettings: {
+    type: 'object',
+    properties: {
+      persist: { type: 'boolean' },
+      encrypt: { type: 'boolean' },
+      maxCount: { type: 'integer', minimum: 1 },
+      maxBytes: { type: 'integer', minimum: 0 },
+      maxAgeDays: { type: 'number', minimum: 0 }
+    },
+    default: { persist: true, encrypt: false, maxCount: 50, maxBytes: 20 * 1024 * 1024, maxAgeDays: 30 }
+  },
+  // Sensitive-content rules of the clipboard monitor, see clipboardClassifier.js
+  clipboardSensitivity: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      ttlSeconds: { type: 'number', minimum: 1 },
+      clearAfterSeconds: { type: 'number', minimum: 0 },
+      rules: { type: 'object' }
+    },
+    default: { enabled: true, ttlSeconds: 60, clearAfterSeconds: 0, rules: {} }
+  },
   // Encrypted sensitive data
   secrets: {
     type: 'object',
@@ -56,71 +240,138 @@ const schema = {
   _metadata: {
     type: 'object',
     properties: {
-      version: { type: 'number', default: 1 },
+      version: { type: 'number', default: CURRENT_SCHEMA_VERSION },
       createdAt: { type: 'string' },
       lastModified: { type: 'string' }
     },
     default: {
-      version: 1,
+      version: CURRENT_SCHEMA_VERSION,
       createdAt: new Date().toISOString(),
       lastModified: new Date().toISOString()
     }
   }
 };
 
-// Migrations for schema changes
-const migrations = {
-  '0.0.1': (store) => {
-    // Initial setup
-    console.log('Running initial store setup...');
-  },
-  '0.1.0': (store) => {
-    // Example migration: rename a key
-    // const oldValue = store.get('oldKey');
-    // store.set('newKey', oldValue);
-    // store.delete('oldKey');
+const STORE_DIR = app.getPath('userData');
+
+/**
+ * Move an unreadable store file aside instead of deleting it
+ * @param {string} filePath - Store file path
+ * @returns {string|null} Path of the kept copy, or null if there was no file
+ */
+function quarantineStoreFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  const invalidPath = path.join(
+    path.dirname(filePath),
+    `${path.basename(filePath, '.json')}.invalid-${fileTimestamp()}.json`
+  );
+  fs.renameSync(filePath, invalidPath);
+  console.warn(`Invalid store file moved to ${invalidPath}`);
+  return invalidPath;
+}
+
+/**
+ * Migrate the store file and open it with electron-store
+ * Invalid data is migrated or kept aside, never silently cleared.
+ * @param {string} filePath - Store file path
+ * @returns {Object} { store, migrationReport }
+ */
+function openStore(filePath) {
+  let migrationReport;
+
+  try {
+    migrationReport = migrateStoreFile(filePath);
+  } catch (error) {
+    // Unparseable JSON falls through to the quarantine below;
+    // a failed migration has already been rolled back to its backup
+    migrationReport = { migrated: false, error: error.message, backupPath: error.backupPath };
   }
-};
 
-// Initialize the store with schema
-const store = new Store({
-  schema,
-  migrations,
-  clearInvalidConfig: true, // Clear invalid config on schema changes
-  serialize: value => JSON.stringify(value, null, 2), // Pretty print
-  deserialize: JSON.parse
-});
+  const options = {
+    schema,
+    cwd: path.dirname(filePath),
+    name: path.basename(filePath, '.json'),
+    clearInvalidConfig: false, // Never throw user data away, see quarantineStoreFile
+    serialize: value => JSON.stringify(value, null, 2), // Pretty print
+    deserialize: JSON.parse
+  };
+
+  try {
+    return { store: new Store(options), migrationReport };
+  } catch (error) {
+    console.error('Store file is invalid:', error.message);
+    migrationReport = { ...migrationReport, invalidPath: quarantineStoreFile(filePath) };
+    return { store: new Store(options), migrationReport };
+  }
+}
+
+// Initialize the store of the startup profile
+const initialProfile = profileManager.getInitialProfile();
+const { store, migrationReport } = openStore(profileManager.getStorePath(initialProfile));
+// A --profile flag only applies to this launch
+profileManager.setActive(initialProfile, { remember: false });
 
 // Encryption utilities
-const ENCRYPTION_KEY = crypto.randomBytes(32); // In production, use a secure key management system
-const ALGORITHM = 'aes-256-cbc';
+// AES-GCM authenticates the ciphertext, so tampering is detected on decrypt
+const ALGORITHM = 'aes-256-gcm';
+const CIPHER_VERSION = 'v2';
+const IV_LENGTH = 12;
+
+// The key is persisted in userData, wrapped by safeStorage when available.
+// It is shared by all profiles, so cloned profiles keep readable secrets.
+const secretKeyStore = new SecretKeyStore(path.join(STORE_DIR, 'secret.key'));
+
+/**
+ * Create an error for a secret that failed authentication
+ * @param {string} message - Error message
+ * @returns {Error} Error with code ERR_SECRET_INTEGRITY
+ */
+function integrityError(message) {
+  const error = new Error(message);
+  error.code = 'ERR_SECRET_INTEGRITY';
+  return error;
+}
 
 /**
  * Encrypt a value
  * @param {string} text - Text to encrypt
- * @returns {string} Encrypted text with IV prepended
+ * @param {Buffer} key - Encryption key
+ * @returns {string} Versioned ciphertext: v2:iv:authTag:data
  */
-function encrypt(text) {
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
+function encrypt(text, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
+  const authTag = cipher.getAuthTag();
+  return [CIPHER_VERSION, iv.toString('hex'), authTag.toString('hex'), encrypted].join(':');
 }
 
 /**
  * Decrypt a value
- * @param {string} text - Encrypted text with IV prepended
+ * @param {string} text - Versioned ciphertext
+ * @param {Buffer} key - Encryption key
  * @returns {string} Decrypted text
+ * @throws {Error} ERR_SECRET_INTEGRITY if the ciphertext was tampered with or the key is wrong
  */
-function decrypt(text) {
-  const parts = text.split(':');
-  const iv = Buffer.from(parts[0], 'hex');
-  const encrypted = parts[1];
-  const decipher = crypto.createDecipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
+function decrypt(text, key) {
+  const parts = typeof text === 'string' ? text.split(':') : [];
+  if (parts.length !== 4 || parts[0] !== CIPHER_VERSION) {
+    throw integrityError('Unsupported or corrupted secret format');
+  }
+
+  try {
+    const iv = Buffer.from(parts[1], 'hex');
+    const authTag = Buffer.from(parts[2], 'hex');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(authTag);
+    let decrypted = decipher.update(parts[3], 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch (error) {
+    throw integrityError('Secret failed authentication (tampered or wrong key)');
+  }
 }
 
 /**
@@ -129,8 +380,28 @@ function decrypt(text) {
 class StoreManager {
   constructor() {
     this.store = store;
+    this.migrationReport = migrationReport;
+    this.secretKeyStore = secretKeyStore;
+    this.snapshots = new StoreSnapshots(store.path, store.get('snapshotSettings'));
+    this.journal = new StoreJournal(store.path);
+    // Origin recorded in the journal, see withSource()
+    this.source = null;
+    // Bookkeeping writes are not journaled, see withoutJournal()
+    this.journalSuspended = false;
+    this.snapshotTimer = null;
+    this.lastScheduledSnapshot = null;
+    this.fileWatcher = null;
+    this.fileWatchTimer = null;
+    this.fileWatchOptions = {};
+    this.checkingExternalChange = false;
+    this.stopTrackingFileState = null;
     this.watchers = new Map();
+    this.watchCounter = 0;
+    this.transactionCounter = 0;
+    // Runtime-registered schemas for userPreferences sub-keys
+    this.preferenceSchemas = new Map();
     this.initializeMetadata();
+    this.trackFileState();
   }
 
   /**
@@ -151,25 +422,76 @@ class StoreManager {
     this.store.set('_metadata.lastModified', new Date().toISOString());
   }
 
+  /**
+   * Replace the open store with another store file (used when switching profiles)
+   * Watchers are kept and notified of every top-level key that differs.
+   * @param {string} filePath - Store file path
+   * @returns {Object} Migration report for the opened file
+   */
+  openFile(filePath) {
+    const wasScheduled = this.snapshotTimer !== null;
+    const wasWatching = this.fileWatcher !== null;
+    this.stopSnapshotSchedule();
+    this.stopFileWatch();
+
+    const before = this.store.store;
+    const opened = openStore(filePath);
+
+    this.store = opened.store;
+    this.migrationReport = opened.migrationReport;
+    this.snapshots = new StoreSnapshots(this.store.path, this.store.get('snapshotSettings'));
+    this.journal = new StoreJournal(this.store.path);
+    this.lastScheduledSnapshot = null;
+    this.initializeMetadata();
+    this.trackFileState();
+
+    if (wasScheduled) {
+      this.startSnapshotSchedule();
+    }
+    if (wasWatching) {
+      this.startFileWatch(this.fileWatchOptions);
+    }
+
+    console.log('Store path:', this.getPath());
+    this.notifyDiff(before, this.store.store);
+
+    return this.migrationReport;
+  }
+
   /**
    * Get a value from the store
+   * A hand edit can leave the file unreadable before the debounced
+   * checkExternalChange() runs; the check then runs right away (see
+   * withReadableFile()), and if that fails too the last valid data is
+   * returned instead of throwing.
    * @param {string} key - Key to retrieve
    * @param {any} defaultValue - Default value if key doesn't exist
    * @returns {any} Value from store
    */
   get(key, defaultValue) {
-    return this.store.get(key, defaultValue);
+    try {
+      return this.withReadableFile(() => this.store.get(key, defaultValue));
+    } catch (error) {
+      console.warn(`Store file unreadable, using last valid data for ${key}:`, error.message);
+      const value = getValueAtPath(this.knownData, key);
+      return value === undefined ? defaultValue : structuredClone(value);
+    }
   }
 
   /**
    * Set a value in the store
+   * Writing a value equal to the current one does nothing.
    * @param {string} key - Key to set
    * @param {any} value - Value to store
    */
   set(key, value) {
-    this.store.set(key, value);
+    const previousValue = this.get(key);
+    if (isDeepStrictEqual(value, previousValue)) return;
+
+    this.withReadableFile(() => this.store.set(key, value));
     this.updateLastModified();
-    this.notifyWatchers(key, value);
+    this.record('set', [{ key, value, previousValue }]);
+    this.notifyWatchers(key, value, previousValue);
   }
 
   /**
@@ -178,7 +500,7 @@ class StoreManager {
    * @returns {boolean} True if exists
    */
   has(key) {
-    return this.store.has(key);
+    return this.withReadableFile(() => this.store.has(key));
   }
 
   /**
@@ -186,19 +508,28 @@ class StoreManager {
    * @param {string} key - Key to delete
    */
   delete(key) {
-    this.store.delete(key);
+    if (!this.has(key)) return;
+
+    const previousValue = this.get(key);
+    this.withReadableFile(() => this.store.delete(key));
     this.updateLastModified();
-    this.notifyWatchers(key, undefined);
+    this.record('delete', [{ key, value: undefined, previousValue }]);
+    this.notifyWatchers(key, undefined, previousValue);
   }
 
   /**
    * Clear all data (except metadata)
+   * A 'pre-clear' snapshot is taken first.
    */
   clear() {
+    this.snapshots.create('pre-clear');
+
+    const before = this.store.store;
     const metadata = this.store.get('_metadata');
     this.store.clear();
     this.store.set('_metadata', metadata);
     this.updateLastModified();
+    this.notifyDiff(before, this.store.store, 'clear');
   }
 
   /**
@@ -229,7 +560,10 @@ class StoreManager {
    * Reset to defaults
    */
   reset() {
+    this.snapshots.create('pre-reset');
+
     // Keep metadata but reset all other values to defaults
+    const before = this.store.store;
     const metadata = this.store.get('_metadata');
     this.store.clear();
 
@@ -242,51 +576,331 @@ class StoreManager {
 
     this.store.set('_metadata', metadata);
     this.updateLastModified();
+    this.notifyDiff(before, this.store.store, 'reset');
   }
 
   /**
-   * Watch for changes to a key
-   * @param {string} key - Key to watch
-   * @param {Function} callback - Callback when value changes
+   * Watch for changes to a key or key pattern
+   *
+   * Patterns are dot paths where `*` matches one segment and `**` matches any
+   * number of segments, e.g. `theme`, `windowState.*`, `userPreferences.**`.
+   * A watcher also fires when a parent or child of the watched path changes.
+   *
+   * A transaction calls each matching watcher once with (undefined, undefined, batch),
+   * where batch is { batch: true, transactionId, changes, timestamp } and `changes`
+   * holds only the changes that match the watcher's pattern.
+   *
+   * @param {string} pattern - Key or pattern to watch
+   * @param {Function} callback - Called with (newValue, key, change)
    * @returns {Function} Unwatch function
    */
-  watch(key, callback) {
-    const watchId = `${key}_${Date.now()}`;
+  watch(pattern, callback) {
+    const watchId = ++this.watchCounter;
 
-    if (!this.watchers.has(key)) {
-      this.watchers.set(key, new Map());
-    }
-
-    this.watchers.get(key).set(watchId, callback);
+    this.watchers.set(watchId, { pattern, callback });
 
     // Return unwatch function
     return () => {
-      const keyWatchers = this.watchers.get(key);
-      if (keyWatchers) {
-        keyWatchers.delete(watchId);
-        if (keyWatchers.size === 0) {
-          this.watchers.delete(key);
-        }
-      }
+      this.watchers.delete(watchId);
     };
   }
 
+  /**
+   * Check if a change to a key is relevant to a watch pattern
+   * True if the pattern matches the key, one of its ancestors, or one of its descendants.
+   * @param {string} pattern - Watch pattern
+   * @param {string} key - Changed key
+   * @returns {boolean} True if the watcher should fire
+   */
+  matchesPattern(pattern, key) {
+    const patternParts = pattern.split('.');
+    const keyParts = key.split('.');
+
+    const match = (p, k) => {
+      if (p === patternParts.length || k === keyParts.length) return true;
+      if (patternParts[p] === '**') return true;
+      if (patternParts[p] !== '*' && patternParts[p] !== keyParts[k]) return false;
+      return match(p + 1, k + 1);
+    };
+
+    return match(0, 0);
+  }
+
   /**
    * Notify watchers of changes
    * @param {string} key - Key that changed
    * @param {any} newValue - New value
+   * @param {any} previousValue - Value before the change
    */
-  notifyWatchers(key, newValue) {
-    const keyWatchers = this.watchers.get(key);
-    if (keyWatchers) {
-      keyWatchers.forEach(callback => {
-        try {
-          callback(newValue, key);
-        } catch (error) {
-          console.error('Error in store watcher:', error);
-        }
-      });
+  notifyWatchers(key, newValue, previousValue) {
+    const change = {
+      key,
+      value: newValue,
+      previousValue,
+      timestamp: new Date().toISOString()
+    };
+
+    this.watchers.forEach(({ pattern, callback }) => {
+      if (!this.matchesPattern(pattern, key)) return;
+
+      try {
+        callback(newValue, key, change);
+      } catch (error) {
+        console.error('Error in store watcher:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify each matching watcher once about a set of changes
+   * @param {Array<Object>} changes - { type, key, value, previousValue }
+   * @param {number} transactionId - Transaction the changes belong to
+   * @private
+   */
+  notifyBatch(changes, transactionId) {
+    const timestamp = new Date().toISOString();
+
+    this.watchers.forEach(({ pattern, callback }) => {
+      const matching = changes.filter(change => this.matchesPattern(pattern, change.key));
+      if (matching.length === 0) return;
+
+      try {
+        callback(undefined, undefined, { batch: true, transactionId, changes: matching, timestamp });
+      } catch (error) {
+        console.error('Error in store watcher:', error);
+      }
+    });
+  }
+
+  /**
+   * Apply several set/delete operations atomically
+   *
+   * All operations are applied to a copy of the data and the affected keys are
+   * validated together. Only if everything is valid is the result written, in a
+   * single file replace; otherwise nothing changes.
+   *
+   * @param {Array<{type: string, key: string, value: any}>} operations - `set` or `delete` operations, applied in order
+   * @param {Object} options - Options
+   * @param {string} [options.snapshot] - Snapshot reason to record after validation, before writing
+   * @param {string} [options.operation='transaction'] - Operation name recorded in the journal
+   * @param {Object} [options.journalLink] - Undo/redo reference stored with the journal entry
+   * @returns {Object} { transactionId, changes }
+   * @throws {Error} ERR_VALIDATION with `errors` if an operation is malformed or the result violates the schema
+   */
+  transaction(operations, options = {}) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('Transaction requires a non-empty array of operations');
     }
+
+    const before = this.withReadableFile(() => this.store.store);
+    const next = JSON.parse(JSON.stringify(before));
+    const changes = [];
+    const errors = [];
+
+    operations.forEach((operation, index) => {
+      const { type, key, value } = operation || {};
+
+      if ((type !== 'set' && type !== 'delete') || typeof key !== 'string' || !key) {
+        errors.push({ path: `operations.${index}`, keyword: 'operation', message: 'must be { type: "set" | "delete", key, value }' });
+        return;
+      }
+      if (key.split('.')[0] === '_metadata') {
+        errors.push({ path: key, keyword: 'readOnly', message: 'is managed by the store' });
+        return;
+      }
+
+      const previousValue = getValueAtPath(next, key);
+
+      if (type === 'set') {
+        setValueAtPath(next, key, value);
+      } else {
+        deleteValueAtPath(next, key);
+      }
+
+      changes.push({ type, key, value: type === 'set' ? value : undefined, previousValue });
+    });
+
+    // Validate the resulting state of every top-level key that was touched
+    const roots = new Set(changes.map(change => change.key.split('.')[0]));
+    roots.forEach(root => {
+      if (next[root] !== undefined) {
+        errors.push(...this.getValidationErrors(root, next[root]));
+      }
+    });
+
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    if (options.snapshot) {
+      this.snapshots.create(options.snapshot);
+    }
+
+    next._metadata = { ...next._metadata, lastModified: new Date().toISOString() };
+
+    // Assigning the whole object is a single atomic write
+    this.store.store = next;
+
+    // Undo and redo are always journaled, so their links stay intact
+    const journaled = options.journalLink
+      ? changes
+      : changes.filter(change => !isDeepStrictEqual(change.value, change.previousValue));
+
+    this.record(
+      options.operation || 'transaction',
+      journaled.map(({ key, value, previousValue }) => ({ key, value, previousValue })),
+      options.journalLink
+    );
+
+    const transactionId = ++this.transactionCounter;
+    this.notifyBatch(changes, transactionId);
+
+    return { transactionId, changes: changes.length };
+  }
+
+  /**
+   * Notify watchers of every top-level key that differs between two states
+   * @param {Object} before - Data before a bulk change
+   * @param {Object} after - Data after a bulk change
+   * @param {string} [operation] - Journal the changes under this operation name
+   * @private
+   */
+  notifyDiff(before, after, operation) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    keys.forEach(key => {
+      if (key === '_metadata') return;
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes.push({ key, value: after[key], previousValue: before[key] });
+      }
+    });
+
+    if (operation) {
+      this.record(operation, changes);
+    }
+
+    changes.forEach(({ key, value, previousValue }) => this.notifyWatchers(key, value, previousValue));
+  }
+
+  /**
+   * Run a function with a journal origin attached to every mutation it makes
+   * @param {Object} source - e.g. { channel: 'store:set', window: 'Settings' }
+   * @param {Function} fn - Synchronous function to run
+   * @returns {any} Return value of fn
+   */
+  withSource(source, fn) {
+    const previous = this.source;
+    this.source = source;
+
+    try {
+      return fn();
+    } finally {
+      this.source = previous;
+    }
+  }
+
+  /**
+   * Run a function whose mutations are bookkeeping rather than user changes
+   * (window state, schedule progress, pruning): they are written and watchers
+   * fire as usual, but nothing is journaled, so undo skips over them.
+   * @param {Function} fn - Synchronous function to run
+   * @returns {any} Return value of fn
+   */
+  withoutJournal(fn) {
+    const previous = this.journalSuspended;
+    this.journalSuspended = true;
+
+    try {
+      return fn();
+    } finally {
+      this.journalSuspended = previous;
+    }
+  }
+
+  /**
+   * Append a mutation to the journal
+   * @param {string} operation - Operation name
+   * @param {Array<Object>} changes - { key, value, previousValue }
+   * @param {Object} [extra] - Additional entry fields (undoOf, redoOf)
+   * @returns {Object|null} Journal entry, or null if nothing changed or journaling is suspended
+   * @private
+   */
+  record(operation, changes, extra = {}) {
+    if (changes.length === 0 || this.journalSuspended) return null;
+
+    return this.journal.append({
+      operation,
+      source: this.source || { channel: 'main' },
+      changes,
+      ...extra
+    });
+  }
+
+  /**
+   * Revert the most recent journaled change
+   * Secrets are skipped, since their values are never journaled.
+   * @returns {Object|null} { undone, operation, keys }, or null if there is nothing to undo
+   */
+  undo() {
+    const entry = this.journal.peekUndo();
+    if (!entry) return null;
+
+    const changes = entry.changes
+      .filter(change => !change.secret)
+      .reverse()
+      .map(change => ({ key: change.key, value: change.previousValue }));
+
+    this.applyJournalChanges(changes, 'undo', { undoOf: entry.id });
+
+    console.log(`Store change undone: #${entry.id} (${entry.operation})`);
+    return { undone: entry.id, operation: entry.operation, keys: changes.map(change => change.key) };
+  }
+
+  /**
+   * Re-apply the most recently undone change
+   * @returns {Object|null} { redone, operation, keys }, or null if there is nothing to redo
+   */
+  redo() {
+    const entry = this.journal.peekRedo();
+    if (!entry) return null;
+
+    const changes = entry.changes
+      .filter(change => !change.secret)
+      .map(change => ({ key: change.key, value: change.value }));
+
+    this.applyJournalChanges(changes, 'redo', { redoOf: entry.id });
+
+    console.log(`Store change redone: #${entry.id} (${entry.operation})`);
+    return { redone: entry.id, operation: entry.operation, keys: changes.map(change => change.key) };
+  }
+
+  /**
+   * Write journaled values back in one transaction
+   * @param {Array<Object>} changes - { key, value } where undefined means delete
+   * @param {string} operation - 'undo' or 'redo'
+   * @param {Object} link - { undoOf } or { redoOf }
+   * @private
+   */
+  applyJournalChanges(changes, operation, link) {
+    const operations = changes.map(change => (change.value === undefined
+      ? { type: 'delete', key: change.key }
+      : { type: 'set', key: change.key, value: change.value }));
+
+    this.transaction(operations, { operation, journalLink: link });
+  }
+
+  /**
+   * Get the journal, newest first
+   * @param {number} [limit=100] - Maximum entries
+   * @returns {Object} { entries, canUndo, canRedo }
+   */
+  getHistory(limit = 100) {
+    return {
+      entries: this.journal.list(limit),
+      canUndo: this.journal.peekUndo() !== null,
+      canRedo: this.journal.peekRedo() !== null
+    };
   }
 
   /**
@@ -295,17 +909,21 @@ class StoreManager {
    * @param {string} value - Value to encrypt and store
    */
   setSecret(key, value) {
-    const encrypted = encrypt(value);
+    const encrypted = encrypt(value, this.secretKeyStore.getKey());
     const secrets = this.store.get('secrets', {});
     secrets[key] = encrypted;
     this.store.set('secrets', secrets);
     this.updateLastModified();
+    // Secret values are never passed to watchers or the journal
+    this.record('set-secret', [{ key: `secrets.${key}` }]);
+    this.notifyWatchers(`secrets.${key}`, undefined, undefined);
   }
 
   /**
    * Get encrypted value
    * @param {string} key - Key to retrieve
-   * @returns {string|null} Decrypted value or null
+   * @returns {string|null} Decrypted value or null if not set
+   * @throws {Error} ERR_SECRET_INTEGRITY if the stored value fails authentication
    */
   getSecret(key) {
     const secrets = this.store.get('secrets', {});
@@ -313,13 +931,34 @@ class StoreManager {
     if (!encrypted) return null;
 
     try {
-      return decrypt(encrypted);
+      return this.decryptSecret(encrypted);
     } catch (error) {
-      console.error('Error decrypting secret:', error);
-      return null;
+      console.error(`Error decrypting secret "${key}":`, error.message);
+      throw error;
     }
   }
 
+  /**
+   * Decrypt a stored secret, trying the previous key if a rotation was interrupted
+   * @param {string} encrypted - Versioned ciphertext
+   * @returns {string} Decrypted value
+   * @private
+   */
+  decryptSecret(encrypted) {
+    const keys = this.secretKeyStore.getDecryptionKeys();
+    let lastError;
+
+    for (const secretKey of keys) {
+      try {
+        return decrypt(encrypted, secretKey);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
   /**
    * Delete encrypted value
    * @param {string} key - Key to delete
@@ -329,6 +968,43 @@ class StoreManager {
     delete secrets[key];
     this.store.set('secrets', secrets);
     this.updateLastModified();
+    this.record('delete-secret', [{ key: `secrets.${key}` }]);
+    this.notifyWatchers(`secrets.${key}`, undefined, undefined);
+  }
+
+  /**
+   * Re-encrypt every secret under a freshly generated key
+   * Aborts without changes if any secret fails to decrypt.
+   * @returns {Object} Result with count of rotated secrets
+   * @throws {Error} ERR_SECRET_INTEGRITY with `keys` listing the unreadable secrets
+   */
+  rotateSecretKey() {
+    let decrypted;
+    try {
+      decrypted = this.decryptAllSecrets();
+    } catch (error) {
+      error.message = `Cannot rotate key, ${error.message}`;
+      throw error;
+    }
+
+    // The old key stays in the key file until the re-encrypted secrets are written
+    const newKey = this.secretKeyStore.beginRotation();
+
+    const reEncrypted = {};
+    Object.keys(decrypted).forEach(key => {
+      reEncrypted[key] = encrypt(decrypted[key], newKey);
+    });
+
+    this.store.set('secrets', reEncrypted);
+    this.updateLastModified();
+    this.secretKeyStore.completeRotation();
+
+    console.log(`Secret key rotated, ${Object.keys(reEncrypted).length} secret(s) re-encrypted`);
+
+    return {
+      rotated: Object.keys(reEncrypted).length,
+      rotatedAt: new Date().toISOString()
+    };
   }
 
   /**
@@ -351,28 +1027,206 @@ class StoreManager {
    * @param {string} jsonString - JSON string to import
    * @param {boolean} merge - Whether to merge with existing data
    * @returns {boolean} Success status
+   * @throws {Error} ERR_VALIDATION with `errors` if any imported value violates the schema
    */
   import(jsonString, merge = false) {
+    let data;
     try {
-      const data = JSON.parse(jsonString);
+      // Bring data exported by older versions up to the current schema
+      data = applyMigrations(JSON.parse(jsonString)).data;
+    } catch (error) {
+      console.error('Error importing data:', error);
+      return false;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw validationError([{ path: '', keyword: 'type', message: 'must be object' }]);
+    }
+
+    const operations = this.buildImportOperations(data, merge);
+    if (operations.length === 0) {
+      return true;
+    }
+
+    // Rejects the whole import before touching the store
+    this.transaction(operations, { snapshot: 'pre-import', operation: 'import' });
+    return true;
+  }
+
+  /**
+   * Turn imported data into transaction operations
+   * @param {Object} data - Imported data
+   * @param {boolean} merge - Keep keys the import doesn't have
+   * @returns {Array<Object>} Operations
+   * @private
+   */
+  buildImportOperations(data, merge) {
+    const operations = [];
+
+    if (!merge) {
+      // Replacing: drop keys the import doesn't have
+      Object.keys(this.store.store)
+        .filter(key => key !== '_metadata' && !(key in data))
+        .forEach(key => operations.push({ type: 'delete', key }));
+    }
+
+    Object.keys(data)
+      .filter(key => key !== '_metadata') // Don't overwrite metadata
+      .forEach(key => operations.push({ type: 'set', key, value: data[key] }));
 
-      if (!merge) {
-        this.clear();
+    return operations;
+  }
+
+  /**
+   * Decrypt every stored secret
+   * @returns {Object} name => plaintext
+   * @throws {Error} ERR_SECRET_INTEGRITY with `keys` listing the unreadable secrets
+   * @private
+   */
+  decryptAllSecrets() {
+    const secrets = this.store.get('secrets', {});
+    const decrypted = {};
+    const failed = [];
+
+    Object.keys(secrets).forEach(key => {
+      try {
+        decrypted[key] = this.decryptSecret(secrets[key]);
+      } catch (error) {
+        failed.push(key);
       }
+    });
 
-      // Import each key
-      Object.keys(data).forEach(key => {
-        if (key !== '_metadata') { // Don't overwrite metadata
-          this.store.set(key, data[key]);
-        }
-      });
+    if (failed.length > 0) {
+      const error = integrityError(`${failed.length} secret(s) failed authentication: ${failed.join(', ')}`);
+      error.keys = failed;
+      throw error;
+    }
 
-      this.updateLastModified();
-      return true;
-    } catch (error) {
-      console.error('Error importing data:', error);
-      return false;
+    return decrypted;
+  }
+
+  /**
+   * Export the store as a passphrase-protected bundle that works on any machine
+   * Secrets are decrypted with the local key and re-encrypted with the passphrase.
+   * @param {string} passphrase - Passphrase (min. 8 characters)
+   * @returns {Promise<string>} Bundle JSON
+   * @throws {Error} ERR_SECRET_INTEGRITY if a secret can't be decrypted
+   */
+  async exportEncrypted(passphrase) {
+    const data = { ...this.store.store };
+    delete data.secrets;
+
+    return await createBundle(data, this.decryptAllSecrets(), this.getSchemaVersion(), passphrase);
+  }
+
+  /**
+   * Import a passphrase-protected bundle
+   * The journal origin (see withSource()) is the one in effect when this is
+   * called, since the write happens after the key is derived.
+   * @param {string} bundleString - Bundle JSON
+   * @param {string} passphrase - Passphrase used on export
+   * @param {Object} options - Options
+   * @param {string} [options.mode='merge'] - 'merge' keeps keys and secrets the bundle doesn't have, 'replace' drops them
+   * @param {boolean} [options.dryRun=false] - Only report which keys would change
+   * @returns {Promise<Object>} { mode, dryRun, schemaVersion, createdAt, changes: { added, removed, changed } }
+   * @throws {Error} ERR_BUNDLE_* if the bundle can't be opened, ERR_VALIDATION if its data violates the schema
+   */
+  async importEncrypted(bundleString, passphrase, options = {}) {
+    const source = this.source;
+    const bundle = await openBundle(bundleString, passphrase);
+
+    return this.withSource(source, () => this.applyBundle(bundle, options));
+  }
+
+  /**
+   * Validate and write an opened bundle
+   * @param {Object} bundle - Result of openBundle()
+   * @param {Object} options - See importEncrypted()
+   * @returns {Object} Import result
+   * @private
+   */
+  applyBundle(bundle, options) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const merge = mode === 'merge';
+
+    // Bundles from older versions are brought up to the current schema
+    const { data } = applyMigrations({
+      ...bundle.data,
+      _metadata: { ...bundle.data._metadata, version: bundle.schemaVersion }
+    });
+    delete data.secrets;
+
+    const errors = this.validateData(data);
+    if (errors.length > 0) {
+      throw validationError(errors);
     }
+
+    const changes = this.previewImport(data, bundle.secrets, merge);
+    const result = { mode, dryRun: options.dryRun === true, schemaVersion: bundle.schemaVersion, createdAt: bundle.createdAt, changes };
+
+    if (result.dryRun) {
+      return result;
+    }
+
+    // Re-encrypt bundled secrets under this machine's key
+    const secrets = merge ? { ...this.store.get('secrets', {}) } : {};
+    Object.keys(bundle.secrets).forEach(name => {
+      secrets[name] = encrypt(String(bundle.secrets[name]), this.secretKeyStore.getKey());
+    });
+
+    const operations = this.buildImportOperations({ ...data, secrets }, merge);
+    this.transaction(operations, { snapshot: 'pre-import', operation: 'import-encrypted' });
+
+    console.log(`Encrypted bundle imported (${mode})`);
+    return result;
+  }
+
+  /**
+   * List the key paths an import would add, remove or change
+   * Secrets are compared by plaintext and reported as `secrets.<name>` without values.
+   * @param {Object} data - Imported data without secrets
+   * @param {Object} secrets - Imported plaintext secrets
+   * @param {boolean} merge - Merge instead of replace
+   * @returns {Object} { added, removed, changed }
+   * @private
+   */
+  previewImport(data, secrets, merge) {
+    const strip = obj => {
+      const copy = { ...obj };
+      delete copy.secrets;
+      delete copy._metadata;
+      return copy;
+    };
+
+    const current = strip(this.store.store);
+    const next = merge ? { ...current, ...strip(data) } : strip(data);
+    const changes = diffKeys(current, next);
+
+    const stored = this.store.get('secrets', {});
+    const names = new Set([...Object.keys(stored), ...Object.keys(secrets)]);
+
+    names.forEach(name => {
+      const keyPath = `secrets.${name}`;
+      const incoming = secrets[name];
+
+      if (!(name in stored)) {
+        changes.added.push(keyPath);
+      } else if (incoming === undefined) {
+        if (!merge) changes.removed.push(keyPath);
+      } else {
+        let currentValue = null;
+        try {
+          currentValue = this.decryptSecret(stored[name]);
+        } catch (error) {
+          // Unreadable locally, so importing would change it
+        }
+        if (currentValue !== String(incoming)) {
+          changes.changed.push(keyPath);
+        }
+      }
+    });
+
+    return changes;
   }
 
   /**
@@ -386,37 +1240,472 @@ class StoreManager {
     return {
       size: this.getSize(),
       path: this.getPath(),
+      profile: profileManager.getActive(),
       keys: Object.keys(data).length,
       metadata,
+      schemaVersion: this.getSchemaVersion(),
+      latestSchemaVersion: CURRENT_SCHEMA_VERSION,
+      lastMigration: this.migrationReport,
+      snapshotCount: this.snapshots.list().length,
       hasSecrets: Object.keys(this.store.get('secrets', {})).length > 0,
-      secretsCount: Object.keys(this.store.get('secrets', {})).length
+      secretsCount: Object.keys(this.store.get('secrets', {})).length,
+      secretKey: this.secretKeyStore.getInfo()
     };
   }
 
   /**
-   * Validate a value against the schema
-   * @param {string} key - Key to validate
-   * @param {any} value - Value to validate
-   * @returns {boolean} Whether value is valid
+   * Take a snapshot of the store file
+   * @param {string} [reason='manual'] - Snapshot reason
+   * @returns {Object|null} Snapshot info
    */
-  validate(key, value) {
-    const keySchema = schema[key];
-    if (!keySchema) return true; // No schema for key, allow anything
+  createSnapshot(reason = 'manual') {
+    return this.snapshots.create(reason);
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Array<Object>} Snapshot info objects
+   */
+  listSnapshots() {
+    return this.snapshots.list();
+  }
+
+  /**
+   * Compare a snapshot with the live store
+   * @param {string} id - Snapshot ID
+   * @returns {Object} { added, removed, changed, values } where added/removed are relative to the snapshot
+   */
+  diffSnapshot(id) {
+    const snapshotData = this.snapshots.read(id);
+    const liveData = this.store.store;
+    const changes = diffKeys(snapshotData, liveData);
+
+    // Before/after values for every differing path
+    const values = {};
+    [...changes.added, ...changes.removed, ...changes.changed].forEach(keyPath => {
+      values[keyPath] = {
+        snapshot: getValueAtPath(snapshotData, keyPath),
+        live: getValueAtPath(liveData, keyPath)
+      };
+    });
+
+    return { id, ...changes, values };
+  }
+
+  /**
+   * Replace the live store with a snapshot
+   * The current state is snapshotted first, so a restore can itself be undone.
+   * @param {string} id - Snapshot ID
+   * @returns {Object} { restored, safetySnapshot }
+   */
+  restoreSnapshot(id) {
+    // Snapshots may predate the current schema (e.g. pre-migration backups)
+    const { data } = applyMigrations(this.snapshots.read(id));
+
+    const errors = this.validateData(data);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    const safetySnapshot = this.snapshots.create('pre-restore');
+
+    const before = this.store.store;
+    this.store.store = data;
+    this.updateLastModified();
+    this.notifyDiff(before, this.store.store, 'restore-snapshot');
+
+    console.log(`Store restored from snapshot: ${id}`);
+
+    return { restored: id, safetySnapshot: safetySnapshot ? safetySnapshot.id : null };
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   */
+  deleteSnapshot(id) {
+    this.snapshots.remove(id);
+  }
+
+  /**
+   * Update snapshot retention and schedule
+   * @param {Object} settings - { maxCount, maxAgeDays, intervalMinutes }
+   * @returns {Object} Effective settings
+   * @throws {Error} ERR_VALIDATION if the settings violate the schema
+   */
+  configureSnapshots(settings) {
+    const merged = { ...this.store.get('snapshotSettings'), ...settings };
+
+    const errors = this.getValidationErrors('snapshotSettings', merged);
+    if (errors.length > 0) {
+      throw validationError(errors);
+    }
+
+    this.set('snapshotSettings', merged);
+    this.snapshots.setRetention(merged);
+    this.snapshots.prune();
+
+    if (this.snapshotTimer) {
+      this.startSnapshotSchedule();
+    }
+
+    return merged;
+  }
+
+  /**
+   * Start taking scheduled snapshots (only when the store changed since the last one)
+   */
+  startSnapshotSchedule() {
+    this.stopSnapshotSchedule();
+
+    const { intervalMinutes } = this.store.get('snapshotSettings');
+    if (!intervalMinutes) return;
+
+    this.snapshotTimer = setInterval(() => {
+      try {
+        const lastModified = this.get('_metadata.lastModified');
+        if (lastModified === this.lastScheduledSnapshot) return;
+
+        this.snapshots.create('scheduled');
+        this.lastScheduledSnapshot = lastModified;
+      } catch (error) {
+        console.error('Error taking scheduled snapshot:', error);
+      }
+    }, intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for snapshots
+    if (this.snapshotTimer.unref) {
+      this.snapshotTimer.unref();
+    }
+  }
+
+  /**
+   * Stop scheduled snapshots
+   */
+  stopSnapshotSchedule() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+
+  /**
+   * Remember the data last written through this process
+   * External edits are detected by comparing the file against it.
+   * @private
+   */
+  trackFileState() {
+    if (this.stopTrackingFileState) {
+      this.stopTrackingFileState();
+    }
+
+    this.knownData = this.store.store;
+    this.stopTrackingFileState = this.store.onDidAnyChange(newValue => {
+      this.knownData = newValue;
+    });
+  }
+
+  /**
+   * Watch the store file for edits made outside the app
+   * @param {Object} options - Options
+   * @param {Function} [options.onInvalid] - Called with { invalidPath, errors } when an edit is rejected
+   * @param {number} [options.debounceMs=300] - Wait for the editor to finish writing
+   */
+  startFileWatch(options = {}) {
+    this.stopFileWatch();
+    this.fileWatchOptions = options;
+
+    const filePath = this.getPath();
+    const fileName = path.basename(filePath);
+    const debounceMs = options.debounceMs !== undefined ? options.debounceMs : 300;
+
+    try {
+      // Watch the directory, since editors and atomic writes replace the file
+      this.fileWatcher = fs.watch(path.dirname(filePath), (eventType, changedFile) => {
+        if (changedFile && changedFile !== fileName) return;
+
+        clearTimeout(this.fileWatchTimer);
+        this.fileWatchTimer = setTimeout(() => this.checkExternalChange(), debounceMs);
+      });
 
-    // Type validation
-    if (keySchema.type) {
-      const actualType = Array.isArray(value) ? 'array' : typeof value;
-      if (actualType !== keySchema.type) {
-        return false;
+      this.fileWatcher.on('error', error => {
+        console.error('Store file watcher error:', error);
+      });
+
+      console.log('Watching store file for external changes');
+    } catch (error) {
+      console.error('Error watching store file:', error);
+      this.fileWatcher = null;
+    }
+  }
+
+  /**
+   * Stop watching the store file
+   */
+  stopFileWatch() {
+    clearTimeout(this.fileWatchTimer);
+    this.fileWatchTimer = null;
+
+    if (this.fileWatcher) {
+      this.fileWatcher.close();
+      this.fileWatcher = null;
+    }
+  }
+
+  /**
+   * Reload the store file if it was changed outside the app
+   * Valid edits notify watchers for every differing key; invalid edits are moved
+   * aside and the last known data is written back.
+   * @returns {Object|null} { reloaded } or { rejected, invalidPath, errors }, or null if nothing changed
+   */
+  checkExternalChange() {
+    this.checkingExternalChange = true;
+    try {
+      return this.reloadExternalChange();
+    } finally {
+      this.checkingExternalChange = false;
+    }
+  }
+
+  /**
+   * Compare the store file with the last known data, see checkExternalChange()
+   * @returns {Object|null} Same as checkExternalChange()
+   * @private
+   */
+  reloadExternalChange() {
+    const filePath = this.getPath();
+
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      // Mid-replace or deleted; the next event will tell
+      return null;
+    }
+
+    const before = this.knownData;
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return this.rejectExternalChange(before, [{ path: '', keyword: 'syntax', message: error.message }]);
+    }
+
+    if (JSON.stringify(data) === JSON.stringify(before)) {
+      return null; // Our own write
+    }
+
+    const errors = this.validateData(data);
+    if (errors.length > 0) {
+      return this.rejectExternalChange(before, errors);
+    }
+
+    this.knownData = data;
+    this.withSource({ channel: 'external-edit', path: filePath }, () => {
+      this.notifyDiff(before, data, 'external-edit');
+    });
+
+    console.log('Store reloaded after external edit');
+    return { reloaded: true };
+  }
+
+  /**
+   * Run a store access, recovering once from an unreadable store file
+   * conf reads the file on every access, so a hand edit that broke it makes
+   * writes throw until the debounced check gets to it. The check runs right
+   * away instead; if the file still can't be read it is moved aside with the
+   * last valid data written back, and the access is retried.
+   * @param {Function} access - Reads or writes this.store
+   * @returns {any} Return value of access
+   * @private
+   */
+  withReadableFile(access) {
+    try {
+      return access();
+    } catch (error) {
+      // Only an unreadable file is recovered from, not e.g. a rejected value
+      if (this.checkingExternalChange || this.canReadFile()) throw error;
+
+      clearTimeout(this.fileWatchTimer);
+      this.fileWatchTimer = null;
+      this.checkExternalChange();
+
+      if (!this.canReadFile()) {
+        this.rejectExternalChange(this.knownData, [{ path: '', keyword: 'read', message: error.message }]);
       }
+
+      return access();
     }
+  }
 
-    // Enum validation
-    if (keySchema.enum && !keySchema.enum.includes(value)) {
+  /**
+   * Check if conf can read the store file
+   * @returns {boolean} True if readable
+   * @private
+   */
+  canReadFile() {
+    try {
+      return Boolean(this.store.store);
+    } catch (error) {
       return false;
     }
+  }
 
-    return true;
+  /**
+   * Move an invalid external edit aside and write the last known data back
+   * @param {Object} knownData - Data to restore
+   * @param {Array<Object>} errors - Why the edit was rejected
+   * @returns {Object} { rejected, invalidPath, errors }
+   * @private
+   */
+  rejectExternalChange(knownData, errors) {
+    let invalidPath = null;
+
+    try {
+      invalidPath = quarantineStoreFile(this.getPath());
+      this.store.store = knownData;
+    } catch (error) {
+      console.error('Error recovering from invalid store edit:', error);
+    }
+
+    console.warn('External store edit rejected:', errors.map(e => `${e.path} ${e.message}`).join('; '));
+
+    if (this.fileWatchOptions.onInvalid) {
+      try {
+        this.fileWatchOptions.onInvalid({ invalidPath, errors });
+      } catch (error) {
+        console.error('Error in store onInvalid handler:', error);
+      }
+    }
+
+    return { rejected: true, invalidPath, errors };
+  }
+
+  /**
+   * Get the schema version of the stored data
+   * @returns {number} Schema version
+   */
+  getSchemaVersion() {
+    return this.store.get('_metadata.version', 1);
+  }
+
+  /**
+   * Run pending schema migrations against the store file
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun=false] - Only report which keys would change
+   * @returns {Object} Migration report
+   */
+  migrate(options = {}) {
+    const report = migrateStoreFile(this.getPath(), { dryRun: options.dryRun === true });
+
+    if (report.migrated) {
+      this.migrationReport = report;
+      this.updateLastModified();
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the schema for a top-level key, including runtime-registered preference schemas
+   * @param {string} key - Top-level key
+   * @returns {Object|null} Schema or null if the key has none
+   */
+  getKeySchema(key) {
+    const keySchema = schema[key];
+    if (!keySchema) return null;
+
+    if (key === 'userPreferences' && this.preferenceSchemas.size > 0) {
+      return {
+        ...keySchema,
+        properties: {
+          ...keySchema.properties,
+          ...Object.fromEntries(this.preferenceSchemas)
+        }
+      };
+    }
+
+    return keySchema;
+  }
+
+  /**
+   * Get the schema that applies to a key (dot paths supported)
+   * @param {string} key - Key to look up
+   * @returns {Object|null} Schema or null if the key isn't described
+   */
+  getSchema(key) {
+    const [root, ...rest] = key.split('.');
+    const rootSchema = this.getKeySchema(root);
+    return rootSchema ? resolvePath(rootSchema, rest) : null;
+  }
+
+  /**
+   * Register a schema for a userPreferences sub-key at runtime
+   * @param {string} name - Preference name (e.g. 'fontSize' for userPreferences.fontSize)
+   * @param {Object} prefSchema - JSON-Schema for the preference
+   * @returns {Array} Validation errors for the value currently stored under that key
+   */
+  registerPreferenceSchema(name, prefSchema) {
+    if (!name || typeof name !== 'string' || name.includes('.')) {
+      throw new Error('Preference name must be a non-empty string without dots');
+    }
+    if (!prefSchema || typeof prefSchema !== 'object' || Array.isArray(prefSchema)) {
+      throw new Error('Schema must be an object');
+    }
+
+    this.preferenceSchemas.set(name, prefSchema);
+    console.log(`Preference schema registered: userPreferences.${name}`);
+
+    const key = `userPreferences.${name}`;
+    return this.has(key) ? this.getValidationErrors(key, this.get(key)) : [];
+  }
+
+  /**
+   * Remove a runtime-registered preference schema
+   * @param {string} name - Preference name
+   * @returns {boolean} True if a schema was removed
+   */
+  unregisterPreferenceSchema(name) {
+    return this.preferenceSchemas.delete(name);
+  }
+
+  /**
+   * Validate a value against the schema and list every failing path
+   * @param {string} key - Key to validate (dot paths supported)
+   * @param {any} value - Value to validate
+   * @returns {Array<{path: string, keyword: string, message: string}>} Errors, empty if valid
+   */
+  getValidationErrors(key, value) {
+    const keySchema = this.getSchema(key);
+    if (!keySchema) return []; // No schema for key, allow anything
+
+    return validateSchema(value, keySchema, key);
+  }
+
+  /**
+   * Validate a full data object (e.g. an import) key by key
+   * @param {Object} data - Data to validate
+   * @returns {Array} Errors, empty if valid
+   */
+  validateData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return [{ path: '', keyword: 'type', message: 'must be object' }];
+    }
+
+    return Object.keys(data)
+      .filter(key => key !== '_metadata')
+      .reduce((errors, key) => errors.concat(this.getValidationErrors(key, data[key])), []);
+  }
+
+  /**
+   * Validate a value against the schema
+   * @param {string} key - Key to validate
+   * @param {any} value - Value to validate
+   * @returns {boolean} Whether value is valid
+   */
+  validate(key, value) {
+    return this.getValidationErrors(key, value).length === 0;
   }
 }
 
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store Migrations
+ *
+ * Versioned schema migrations for the persistent store.
+ *
+ * Features:
+ * - Ordered migrations keyed by schema version (_metadata.version)
+ * - Pre-migration backup of the store file
+ * - Rollback to the backup if any migration throws
+ * - Dry-run mode reporting which keys would change
+ *
+ * Migrations are pure functions: they receive a deep copy of the store data
+ * and return the migrated data (or mutate and return the same object).
+ * To add one, append an entry with the next version number. Never edit a
+ * migration that has already shipped.
+ */
+
+/**
+ * Ordered list of schema migrations
+ * @type {Array<{version: number, description: string, up: Function}>}
+ */
+const migrations = [
+  {
+    version: 2,
+    description: 'Remove the unused windowBounds key',
+    up: (data) => {
+      // The main window never restored these bounds, and WindowManager keeps
+      // window state per window type, so there is nothing to carry over
+      delete data.windowBounds;
+      return data;
+    }
+  },
+  {
+    version: 3,
+    description: 'Turn recentFiles paths into { path, pinned, lastOpened } entries',
+    up: (data) => {
+      if (Array.isArray(data.recentFiles)) {
+        data.recentFiles = data.recentFiles
+          .filter(entry => typeof entry === 'string' || (entry && typeof entry.path === 'string'))
+          .map(entry => (typeof entry === 'string' ? { path: entry, pinned: false, lastOpened: null } : entry));
+      }
+      return data;
+    }
+  }
+];
+
+// Latest schema version, stamped into new stores
+const CURRENT_SCHEMA_VERSION = migrations.reduce((max, m) => Math.max(max, m.version), 1);
+
+/**
+ * Read a dot-path value from an object
+ * @param {Object} obj - Source object
+ * @param {string} keyPath - Dot-separated path
+ * @returns {any} Value or undefined
+ */
+function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((current, part) => {
+    return current !== null && typeof current === 'object' ? current[part] : undefined;
+  }, obj);
+}
+
+/**
+ * Set a dot-path value on an object, creating intermediate objects
+ * @param {Object} obj - Target object
+ * @param {string} keyPath - Dot-separated path
+ * @param {any} value - Value to set
+ */
+function setPath(obj, keyPath, value) {
+  const parts = keyPath.split('.');
+  let current = obj;
+
+  parts.slice(0, -1).forEach(part => {
+    if (current[part] === null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Delete a dot-path value from an object
+ * @param {Object} obj - Target object
+ * @param {string} keyPath - Dot-separated path
+ */
+function deletePath(obj, keyPath) {
+  const parts = keyPath.split('.');
+  const parent = parts.length > 1 ? getPath(obj, parts.slice(0, -1).join('.')) : obj;
+
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+/**
+ * Rename a key (dot paths supported). No-op if the source key doesn't exist.
+ * @param {Object} data - Store data
+ * @param {string} from - Old key path
+ * @param {string} to - New key path
+ */
+function renameKey(data, from, to) {
+  const value = getPath(data, from);
+  if (value === undefined) return;
+
+  deletePath(data, from);
+  setPath(data, to, value);
+}
+
+/**
+ * Get the schema version recorded in store data
+ * @param {Object} data - Store data
+ * @returns {number} Schema version (1 for stores that predate versioning)
+ */
+function getDataVersion(data) {
+  const version = data && data._metadata && data._metadata.version;
+  return typeof version === 'number' ? version : 1;
+}
+
+/**
+ * Get migrations that still need to run for the given data
+ * @param {Object} data - Store data
+ * @returns {Array} Pending migrations in order
+ */
+function getPendingMigrations(data) {
+  const fromVersion = getDataVersion(data);
+
+  return migrations
+    .filter(m => m.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations to a copy of the data
+ * @param {Object} data - Store data (not modified)
+ * @returns {Object} { data, fromVersion, toVersion, applied }
+ * @throws {Error} If a migration throws (with `migration` set to the failing version)
+ */
+function applyMigrations(data) {
+  const fromVersion = getDataVersion(data);
+  const pending = getPendingMigrations(data);
+  let migrated = JSON.parse(JSON.stringify(data));
+  const applied = [];
+
+  for (const migration of pending) {
+    try {
+      migrated = migration.up(migrated) || migrated;
+    } catch (error) {
+      const wrapped = new Error(`Migration to v${migration.version} failed: ${error.message}`);
+      wrapped.migration = migration.version;
+      throw wrapped;
+    }
+
+    migrated._metadata = { ...migrated._metadata, version: migration.version };
+    applied.push({ version: migration.version, description: migration.description });
+  }
+
+  return {
+    data: migrated,
+    fromVersion,
+    toVersion: applied.length > 0 ? applied[applied.length - 1].version : fromVersion,
+    applied
+  };
+}
+
+/**
+ * List dot-paths whose values differ between two data objects
+ * @param {Object} before - Original data
+ * @param {Object} after - Changed data
+ * @param {string} prefix - Path prefix (internal)
+ * @returns {Object} { added, removed, changed } arrays of key paths
+ */
+function diffKeys(before, after, prefix = '') {
+  const result = { added: [], removed: [], changed: [] };
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const a = before ? before[key] : undefined;
+    const b = after ? after[key] : undefined;
+
+    if (a === undefined) {
+      result.added.push(keyPath);
+    } else if (b === undefined) {
+      result.removed.push(keyPath);
+    } else if (isObject(a) && isObject(b)) {
+      const nested = diffKeys(a, b, keyPath);
+      result.added.push(...nested.added);
+      result.removed.push(...nested.removed);
+      result.changed.push(...nested.changed);
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      result.changed.push(keyPath);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build a timestamp safe for file names
+ * @returns {string} e.g. 2024-01-31T12-00-00-000Z
+ */
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Migrate a store file on disk before it is opened by electron-store
+ * @param {string} filePath - Store file path
+ * @param {Object} options - Options
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {string} [options.backupDir] - Where to put the pre-migration backup
+ * @returns {Object} Migration report
+ * @throws {Error} If a migration fails (after restoring the backup)
+ */
+function migrateStoreFile(filePath, options = {}) {
+  const {
+    dryRun = false,
+    backupDir = path.join(path.dirname(filePath), 'store-backups')
+  } = options;
+
+  if (!fs.existsSync(filePath)) {
+    return { migrated: false, reason: 'no-store-file' };
+  }
+
+  // Unparseable files are left for the caller to quarantine
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const data = JSON.parse(raw);
+  const pending = getPendingMigrations(data);
+
+  if (pending.length === 0) {
+    return { migrated: false, reason: 'up-to-date', version: getDataVersion(data) };
+  }
+
+  if (dryRun) {
+    const result = applyMigrations(data);
+    return {
+      migrated: false,
+      dryRun: true,
+      fromVersion: result.fromVersion,
+      toVersion: result.toVersion,
+      migrations: result.applied,
+      changes: diffKeys(data, result.data)
+    };
+  }
+
+  // Pre-migration backup
+  fs.mkdirSync(backupDir, { recursive: true });
+  const name = path.basename(filePath, '.json');
+  const backupPath = path.join(backupDir, `${name}.pre-migration-v${getDataVersion(data)}-${fileTimestamp()}.json`);
+  fs.copyFileSync(filePath, backupPath);
+
+  try {
+    const result = applyMigrations(data);
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(result.data, null, 2));
+    fs.renameSync(tempPath, filePath);
+
+    console.log(`Store migrated v${result.fromVersion} -> v${result.toVersion} (backup: ${backupPath})`);
+
+    return {
+      migrated: true,
+      fromVersion: result.fromVersion,
+      toVersion: result.toVersion,
+      migrations: result.applied,
+      changes: diffKeys(data, result.data),
+      backupPath
+    };
+  } catch (error) {
+    // Roll back to the backup
+    fs.copyFileSync(backupPath, filePath);
+    console.error('Store migration failed, rolled back:', error.message);
+    error.backupPath = backupPath;
+    throw error;
+  }
+}
+
+module.exports = {
+  migrations,
+  CURRENT_SCHEMA_VERSION,
+  getPath,
+  setPath,
+  deletePath,
+  renameKey,
+  getDataVersion,
+  getPendingMigrations,
+  applyMigrations,
+  diffKeys,
+  fileTimestamp,
+  migrateStoreFile
+};
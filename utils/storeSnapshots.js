@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { fileTimestamp } = require('./storeMigrations');
+
+/**
+ * Store Snapshots
+ *
+ * Point-in-time copies of the store file.
+ *
+ * Features:
+ * - Timestamped snapshots tagged with a reason (manual, scheduled, pre-clear, ...)
+ * - Retention policy by count and age
+ * - Shares the backup directory with pre-migration backups, so those are
+ *   listed, pruned and restorable the same way
+ *
+ * Snapshot files are named `<store>.<reason>-<timestamp>.json`.
+ */
+
+const TIMESTAMP_PATTERN = '\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z';
+
+class StoreSnapshots {
+  /**
+   * @param {string} filePath - Store file path
+   * @param {Object} options - Options
+   * @param {string} [options.dir] - Snapshot directory (default: store-backups next to the store)
+   * @param {number} [options.maxCount=20] - Keep at most this many snapshots
+   * @param {number} [options.maxAgeDays=30] - Delete snapshots older than this (0 = never)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.dir = options.dir || path.join(path.dirname(filePath), 'store-backups');
+    this.storeName = path.basename(filePath, '.json');
+    this.retention = {
+      maxCount: options.maxCount !== undefined ? options.maxCount : 20,
+      maxAgeDays: options.maxAgeDays !== undefined ? options.maxAgeDays : 30
+    };
+    this.namePattern = new RegExp(`^${this.storeName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.([a-z0-9-]+)-(${TIMESTAMP_PATTERN})\\.json$`);
+  }
+
+  /**
+   * Update the retention policy
+   * @param {Object} retention - { maxCount, maxAgeDays }
+   */
+  setRetention(retention = {}) {
+    this.retention = { ...this.retention, ...retention };
+  }
+
+  /**
+   * Copy the current store file into a new snapshot
+   * @param {string} reason - Why the snapshot was taken (lowercase letters, digits, dashes)
+   * @returns {Object|null} Snapshot info, or null if there is no store file yet
+   */
+  create(reason = 'manual') {
+    if (!/^[a-z0-9-]+$/.test(reason)) {
+      throw new Error(`Invalid snapshot reason: ${reason}`);
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const id = `${this.storeName}.${reason}-${fileTimestamp()}.json`;
+    fs.copyFileSync(this.filePath, path.join(this.dir, id));
+
+    console.log(`Store snapshot created: ${id}`);
+
+    this.prune();
+    return this.getInfo(id);
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Array<Object>} Snapshot info objects
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(name => this.namePattern.test(name))
+      .map(name => this.getInfo(name))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Read the data of a snapshot
+   * @param {string} id - Snapshot ID (file name)
+   * @returns {Object} Parsed store data
+   */
+  read(id) {
+    return JSON.parse(fs.readFileSync(this.resolve(id), 'utf8'));
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   */
+  remove(id) {
+    fs.unlinkSync(this.resolve(id));
+    console.log(`Store snapshot deleted: ${id}`);
+  }
+
+  /**
+   * Delete snapshots beyond the retention policy
+   * The newest snapshot is always kept.
+   * @returns {number} Number of snapshots deleted
+   */
+  prune() {
+    const { maxCount, maxAgeDays } = this.retention;
+    const snapshots = this.list();
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+    let deleted = 0;
+
+    snapshots.forEach((snapshot, index) => {
+      if (index === 0) return;
+
+      const tooMany = maxCount > 0 && index >= maxCount;
+      const tooOld = cutoff > 0 && Date.parse(snapshot.createdAt) < cutoff;
+
+      if (tooMany || tooOld) {
+        try {
+          fs.unlinkSync(path.join(this.dir, snapshot.id));
+          deleted++;
+        } catch (error) {
+          console.error(`Error pruning snapshot ${snapshot.id}:`, error);
+        }
+      }
+    });
+
+    if (deleted > 0) {
+      console.log(`Pruned ${deleted} store snapshot(s)`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Build info for a snapshot file
+   * @param {string} id - Snapshot ID
+   * @returns {Object} { id, reason, createdAt, size }
+   * @private
+   */
+  getInfo(id) {
+    const match = id.match(this.namePattern);
+    const stats = fs.statSync(path.join(this.dir, id));
+
+    return {
+      id,
+      reason: match[1],
+      // File-safe timestamp back to ISO 8601
+      createdAt: match[2].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'),
+      size: stats.size
+    };
+  }
+
+  /**
+   * Resolve a snapshot ID to a path, rejecting anything outside the snapshot directory
+   * @param {string} id - Snapshot ID
+   * @returns {string} Absolute path
+   * @private
+   */
+  resolve(id) {
+    if (typeof id !== 'string' || path.basename(id) !== id || !this.namePattern.test(id)) {
+      throw new Error(`Invalid snapshot ID: ${id}`);
+    }
+
+    const filePath = path.join(this.dir, id);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    return filePath;
+  }
+}
+
+module.exports = StoreSnapshots;
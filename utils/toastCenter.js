@@ -0,0 +1,337 @@
+const { Notification, screen } = require('electron');
+const EventEmitter = require('events');
+
+/**
+ * Toast Center
+ *
+ * In-app notifications for systems without a notification daemon (or for
+ * users who prefer them), shown in a frameless, always-on-top window that
+ * stacks toasts in a screen corner.
+ *
+ * Features:
+ * - Toast objects with the same interface and events as Electron's
+ *   Notification (show, close; 'show', 'click', 'reply', 'action', 'close'),
+ *   so NotificationManager handles both alike
+ * - Actions, reply fields and auto-dismiss timers (paused while hovered)
+ * - Click-through outside the toasts
+ * - The window only exists while toasts are visible
+ *
+ * Messages to the toast window: 'toast:show' (toast), 'toast:remove' ({ id }).
+ * The window reports clicks, actions, replies and dismissals through
+ * handleEvent().
+ */
+
+const DEFAULT_SETTINGS = {
+  preferToasts: false,
+  position: 'bottom-right',
+  timeoutSeconds: 6
+};
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Toast column width and its distance from the screen edge, in px
+const COLUMN_WIDTH = 380;
+const MARGIN = 12;
+
+/**
+ * A toast, behaving like an Electron Notification
+ */
+class Toast extends EventEmitter {
+  /**
+   * @param {ToastCenter} center - Owning toast center
+   * @param {number} id - Toast ID
+   * @param {Object} options - Notification options (title, body, urgency, timeoutType,
+   *   actions, hasReply, replyPlaceholder) plus type
+   */
+  constructor(center, id, options) {
+    super();
+    this.center = center;
+    this.id = id;
+    this.options = options;
+  }
+
+  /**
+   * Show the toast
+   */
+  show() {
+    this.center.present(this);
+  }
+
+  /**
+   * Close the toast
+   */
+  close() {
+    this.center.remove(this.id);
+  }
+}
+
+class ToastCenter {
+  /**
+   * @param {Object} windowManager - WindowManager instance
+   */
+  constructor(windowManager) {
+    this.windowManager = windowManager;
+    this.settings = { ...DEFAULT_SETTINGS };
+
+    // Visible toasts: id => Toast
+    this.toasts = new Map();
+    this.toastCounter = 0;
+
+    this.window = null;
+    this.ready = false;
+    this.pending = [];
+
+    // Statistics
+    this.stats = {
+      totalShown: 0,
+      clicked: 0,
+      actions: 0,
+      replies: 0,
+      dismissed: 0
+    };
+  }
+
+  /**
+   * Apply settings
+   * @param {Object} settings - { preferToasts, position, timeoutSeconds }
+   */
+  configure(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.setBounds(this.getBounds());
+    }
+  }
+
+  /**
+   * Check if toasts should be used instead of native notifications
+   * @returns {boolean} True if preferred in settings or native ones are unavailable
+   */
+  isPreferred() {
+    return this.settings.preferToasts || !Notification.isSupported();
+  }
+
+  /**
+   * Create a toast (shown by its show())
+   * @param {Object} options - Notification options plus type
+   * @returns {Toast} Toast
+   */
+  create(options) {
+    return new Toast(this, ++this.toastCounter, options);
+  }
+
+  /**
+   * Put a toast on screen
+   * @param {Toast} toast - Toast
+   * @private
+   */
+  present(toast) {
+    const { options } = toast;
+    const sticky = options.timeoutType === 'never' || options.urgency === 'critical';
+
+    this.toasts.set(toast.id, toast);
+    this.stats.totalShown++;
+
+    this.send('toast:show', {
+      id: toast.id,
+      title: options.title,
+      body: options.body || '',
+      type: options.type || 'info',
+      actions: (options.actions || []).map(action => action.text),
+      hasReply: Boolean(options.hasReply),
+      replyPlaceholder: options.replyPlaceholder || 'Type a reply...',
+      timeoutMs: sticky ? null : this.settings.timeoutSeconds * 1000,
+      position: this.settings.position
+    });
+
+    toast.emit('show', {});
+  }
+
+  /**
+   * Take a toast off screen, closing the window after the last one
+   * @param {number} id - Toast ID
+   * @returns {boolean} True if the toast was visible
+   * @private
+   */
+  remove(id) {
+    const toast = this.toasts.get(id);
+    if (!toast) return false;
+
+    this.toasts.delete(id);
+    this.send('toast:remove', { id });
+    toast.emit('close', {});
+
+    if (this.toasts.size === 0) {
+      this.closeWindow();
+    }
+    return true;
+  }
+
+  /**
+   * Handle user interaction reported by the toast window
+   * @param {number} id - Toast ID
+   * @param {string} kind - 'click', 'action', 'reply', 'dismiss' or 'timeout'
+   * @param {number|string} [value] - Action index or reply text
+   */
+  handleEvent(id, kind, value) {
+    const toast = this.toasts.get(id);
+    if (!toast) {
+      throw new Error(`Toast ${id} not found`);
+    }
+
+    switch (kind) {
+      case 'click':
+        this.stats.clicked++;
+        toast.emit('click', {});
+        break;
+      case 'action':
+        if (!Number.isInteger(value) || !toast.options.actions || !toast.options.actions[value]) {
+          throw new Error(`Toast ${id} has no action ${value}`);
+        }
+        this.stats.actions++;
+        toast.emit('action', {}, value);
+        break;
+      case 'reply':
+        if (typeof value !== 'string') {
+          throw new Error('Reply must be a string');
+        }
+        this.stats.replies++;
+        toast.emit('reply', {}, value);
+        break;
+      case 'dismiss':
+      case 'timeout':
+        this.stats.dismissed++;
+        break;
+      default:
+        throw new Error(`Unknown toast event: ${kind}`);
+    }
+
+    // Like native notifications, any interaction takes the toast away
+    this.remove(id);
+  }
+
+  /**
+   * Let the mouse reach the toasts, or pass through the window
+   * @param {boolean} interactive - True while the pointer is over a toast
+   */
+  setInteractive(interactive) {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.setIgnoreMouseEvents(!interactive, { forward: true });
+    }
+  }
+
+  /**
+   * Check if a webContents belongs to the toast window
+   * @param {import('electron').WebContents} webContents - Sender to check
+   * @returns {boolean} True if it is the toast window
+   */
+  isToastWindow(webContents) {
+    return Boolean(this.window && !this.window.isDestroyed() && this.window.webContents === webContents);
+  }
+
+  /**
+   * Close every toast
+   */
+  clear() {
+    Array.from(this.toasts.keys()).forEach(id => this.remove(id));
+    this.closeWindow();
+  }
+
+  /**
+   * Send a message to the toast window, creating it if needed
+   * Messages wait until the window has loaded.
+   * @param {string} channel - Channel
+   * @param {Object} data - Payload
+   * @private
+   */
+  send(channel, data) {
+    if (!this.window || this.window.isDestroyed()) {
+      if (channel === 'toast:remove') return;
+      this.openWindow();
+    }
+
+    if (this.ready) {
+      this.window.webContents.send(channel, data);
+    } else {
+      this.pending.push([channel, data]);
+    }
+  }
+
+  /**
+   * Create the toast window in the configured corner
+   * @private
+   */
+  openWindow() {
+    this.ready = false;
+    this.pending = [];
+    this.window = this.windowManager.createToastWindow(this.getBounds());
+
+    const window = this.window;
+    window.webContents.once('did-finish-load', () => {
+      if (this.window !== window) return;
+      this.ready = true;
+      this.pending.forEach(([channel, data]) => window.webContents.send(channel, data));
+      this.pending = [];
+    });
+
+    window.once('closed', () => {
+      if (this.window !== window) return;
+      this.window = null;
+      this.ready = false;
+      // Toasts can't outlive their window
+      Array.from(this.toasts.keys()).forEach(id => this.remove(id));
+    });
+  }
+
+  /**
+   * Close the toast window
+   * @private
+   */
+  closeWindow() {
+    const window = this.window;
+    this.window = null;
+    this.ready = false;
+    this.pending = [];
+
+    if (window && !window.isDestroyed()) {
+      window.close();
+    }
+  }
+
+  /**
+   * Get the bounds of the toast column on the primary display
+   * @returns {Object} { x, y, width, height }
+   * @private
+   */
+  getBounds() {
+    const { workArea } = screen.getPrimaryDisplay();
+    const position = POSITIONS.includes(this.settings.position) ? this.settings.position : DEFAULT_SETTINGS.position;
+    const width = Math.min(COLUMN_WIDTH, workArea.width - MARGIN * 2);
+
+    return {
+      x: position.endsWith('left') ? workArea.x + MARGIN : workArea.x + workArea.width - width - MARGIN,
+      y: workArea.y + MARGIN,
+      width,
+      height: workArea.height - MARGIN * 2
+    };
+  }
+
+  /**
+   * Get toast statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      visible: this.toasts.size,
+      preferred: this.isPreferred(),
+      nativeSupported: Notification.isSupported(),
+      settings: { ...this.settings }
+    };
+  }
+}
+
+ToastCenter.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+ToastCenter.POSITIONS = POSITIONS;
+
+module.exports = ToastCenter;
@@ -63,6 +63,30 @@ class WindowManager extends EventEmitter {
         skipTaskbar: true,
         hasShadow: false,
         title: 'Overlay Window'
+      },
+      notificationDigest: {
+        width: 480,
+        height: 520,
+        minWidth: 360,
+        minHeight: 300,
+        autoHideMenuBar: true,
+        title: 'While You Were Away'
+      },
+      toast: {
+        width: 380,
+        height: 600,
+        resizable: false,
+        movable: false,
+        minimizable: false,
+        maximizable: false,
+        fullscreenable: false,
+        frame: false,
+        transparent: true,
+        backgroundColor: '#00000000',
+        alwaysOnTop: true,
+        skipTaskbar: true,
+        hasShadow: false,
+        title: 'Notifications'
       }
     };
 
@@ -76,7 +100,7 @@ class WindowManager extends EventEmitter {
 
   /**
    * Create a new window
-   * @param {string} type - Window type (about, settings, floatingNote, overlay)
+   * @param {string} type - Window type (about, settings, floatingNote, overlay, notificationDigest, toast)
    * @param {Object} options - Additional window options
    * @param {BrowserWindow} parent - Parent window (for modal)
    * @returns {BrowserWindow} Created window instance
@@ -98,7 +122,7 @@ class WindowManager extends EventEmitter {
       ...baseConfig,
       ...savedState,
       ...options,
-      backgroundColor: '#0d1117',
+      backgroundColor: baseConfig.backgroundColor || '#0d1117',
       show: false,
       webPreferences: {
         contextIsolation: true,
@@ -134,8 +158,10 @@ class WindowManager extends EventEmitter {
 
     // Show when ready
     window.once('ready-to-show', () => {
-      window.show();
-      if (options.focus !== false) {
+      if (options.focus === false) {
+        window.showInactive();
+      } else {
+        window.show();
         window.focus();
       }
     });
@@ -223,7 +249,9 @@ class WindowManager extends EventEmitter {
       about: 'windows/about.html',
       settings: 'windows/settings.html',
       floatingNote: 'windows/floating-note.html',
-      overlay: 'windows/overlay.html'
+      overlay: 'windows/overlay.html',
+      notificationDigest: 'windows/notification-digest.html',
+      toast: 'windows/toast-center.html'
     };
 
     return htmlFiles[type] || 'index.html';
@@ -237,18 +265,11 @@ class WindowManager extends EventEmitter {
    */
   saveWindowState(type, window) {
     try {
-      const bounds = window.getBounds();
-      const isMaximized = window.isMaximized();
+      const state = this.getWindowState(window);
 
-      const state = {
-        x: bounds.x,
-        y: bounds.y,
-        width: bounds.width,
-        height: bounds.height,
-        isMaximized
-      };
-
-      this.storeManager.set(`windowState.${type}`, state);
+      this.storeManager.withoutJournal(() => {
+        this.storeManager.transaction([{ type: 'set', key: `windowState.${type}`, value: state }]);
+      });
 
       console.log(`Window state saved: ${type}`, state);
     } catch (error) {
@@ -256,6 +277,24 @@ class WindowManager extends EventEmitter {
     }
   }
 
+  /**
+   * Read the persistable state of a window
+   * @param {BrowserWindow} window - Window instance
+   * @returns {Object} { x, y, width, height, isMaximized }
+   * @private
+   */
+  getWindowState(window) {
+    const bounds = window.getBounds();
+
+    return {
+      x: bounds.x,
+      y: bounds.y,
+      width: bounds.width,
+      height: bounds.height,
+      isMaximized: window.isMaximized()
+    };
+  }
+
   /**
    * Load window state from store
    * @param {string} type - Window type
@@ -277,6 +316,53 @@ class WindowManager extends EventEmitter {
     return null;
   }
 
+  /**
+   * Save the state of every open persistent window in one transaction
+   * Used before the store is swapped out (e.g. on profile switch).
+   */
+  saveAllWindowStates() {
+    const operations = [];
+
+    for (const entry of this.windows.values()) {
+      const config = this.windowConfigs[entry.type];
+      if (config && config.persistent && !entry.window.isDestroyed()) {
+        operations.push({ type: 'set', key: `windowState.${entry.type}`, value: this.getWindowState(entry.window) });
+      }
+    }
+
+    if (operations.length === 0) return;
+
+    try {
+      this.storeManager.withoutJournal(() => this.storeManager.transaction(operations));
+      console.log(`Window state saved for ${operations.length} window(s)`);
+    } catch (error) {
+      console.error('Error saving window states:', error);
+    }
+  }
+
+  /**
+   * Re-apply stored state to every open persistent window
+   * Used after the store is swapped out (e.g. on profile switch).
+   */
+  restoreAllWindowStates() {
+    for (const entry of this.windows.values()) {
+      const config = this.windowConfigs[entry.type];
+      if (!config || !config.persistent || entry.window.isDestroyed()) continue;
+
+      const state = this.loadWindowState(entry.type);
+      if (!state) continue;
+
+      const bounds = { x: state.x, y: state.y, width: state.width, height: state.height };
+      if (this.isWindowOnScreen(bounds)) {
+        entry.window.unmaximize();
+        entry.window.setBounds(bounds);
+      }
+      if (state.isMaximized) {
+        entry.window.maximize();
+      }
+    }
+  }
+
   /**
    * Check if window bounds are on screen
    * @param {Object} bounds - Window bounds {x, y, width, height}
@@ -410,6 +496,37 @@ class WindowManager extends EventEmitter {
     return this.createWindow('overlay', options);
   }
 
+  /**
+   * Show the summary of the last notification digest (convenience method)
+   * @returns {BrowserWindow} Created or focused window
+   */
+  showNotificationDigest() {
+    const existing = this.getWindowsByType('notificationDigest');
+    if (existing.length > 0) {
+      // Focus and refresh existing window
+      this.focusWindow(existing[0].windowId);
+      existing[0].window.reload();
+      return existing[0].window;
+    }
+
+    return this.createWindow('notificationDigest');
+  }
+
+  /**
+   * Create the in-app toast window (convenience method)
+   * Shown without taking focus, above fullscreen apps, and click-through until
+   * the pointer is over a toast (see ToastCenter.setInteractive).
+   * @param {Object} bounds - { x, y, width, height }
+   * @returns {BrowserWindow} Created window
+   */
+  createToastWindow(bounds) {
+    const window = this.createWindow('toast', { ...bounds, focus: false });
+    window.setAlwaysOnTop(true, 'screen-saver');
+    window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+    window.setIgnoreMouseEvents(true, { forward: true });
+    return window;
+  }
+
   /**
    * Close window by ID
    * @param {string} windowId - Window identifier